@@ -0,0 +1,100 @@
+// Browser solver for the API's proof-of-work challenges.
+//
+//   <script src="pow-solver.js"></script>
+//   const response = await PowSolver.fetchWithChallenge('http://localhost:3001/api/user-info', { method: 'POST', ... });
+//
+// fetchWithChallenge sends the stored pass (X-Challenge-Pass) with every request. When the API
+// answers 403 with a challenge it solves it, exchanges the solution for a pass at
+// /api/challenge/verify and retries once.
+(function (global) {
+    const PASS_STORAGE_KEY = 'powChallengePass';
+
+    function leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        return bits;
+    }
+
+    // Find a nonce such that sha256("<challenge>:<nonce>") starts with `difficulty` zero bits
+    async function solve(challenge, difficulty, { onProgress = null } = {}) {
+        const encoder = new TextEncoder();
+        const started = Date.now();
+
+        for (let nonce = 0; ; nonce++) {
+            const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+            if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+                return { nonce: String(nonce), attempts: nonce + 1, durationMs: Date.now() - started };
+            }
+            if (onProgress && nonce % 5000 === 0) {
+                onProgress({ attempts: nonce, durationMs: Date.now() - started });
+            }
+        }
+    }
+
+    function getPass() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(PASS_STORAGE_KEY));
+            return stored && new Date(stored.expiresAt) > new Date() ? stored.passToken : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function storePass(pass) {
+        try {
+            sessionStorage.setItem(PASS_STORAGE_KEY, JSON.stringify(pass));
+        } catch (error) {
+            console.warn('Could not store challenge pass:', error);
+        }
+    }
+
+    // Solve an issued challenge ({ challenge, difficulty }) and return the pass token
+    async function redeem(apiBase, issued, options = {}) {
+        const { nonce } = await solve(issued.challenge, issued.difficulty, options);
+        const response = await fetch(`${apiBase}/api/challenge/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challenge: issued.challenge, nonce })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(`Challenge rejected: ${result.message}`);
+        }
+
+        storePass(result.data);
+        return result.data.passToken;
+    }
+
+    function withPass(options, passToken) {
+        const headers = new Headers(options.headers || {});
+        if (passToken) {
+            headers.set('X-Challenge-Pass', passToken);
+        }
+        return { ...options, headers };
+    }
+
+    async function fetchWithChallenge(url, options = {}, solverOptions = {}) {
+        const apiBase = solverOptions.apiBase || new URL(url, global.location.href).origin;
+
+        const response = await fetch(url, withPass(options, getPass()));
+        if (response.status !== 403) {
+            return response;
+        }
+
+        const body = await response.clone().json().catch(() => null);
+        if (!body || body.action !== 'challenge' || !body.challenge) {
+            return response;
+        }
+
+        const passToken = await redeem(apiBase, body.challenge, solverOptions);
+        return fetch(url, withPass(options, passToken));
+    }
+
+    global.PowSolver = { solve, redeem, getPass, fetchWithChallenge };
+})(window);
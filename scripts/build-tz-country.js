@@ -0,0 +1,85 @@
+// Builds src/data/tz-country.json, the IANA timezone -> ISO country table used by the
+// consistency checks, from the system tz database (or another copy of it):
+//
+//   node scripts/build-tz-country.js [--zoneinfo /usr/share/zoneinfo] [--out src/data/tz-country.json]
+//
+// Countries come from zone.tab and zone1970.tab (a zone shared by several countries lists all of
+// them); backward-compatible names such as Asia/Calcutta are added from the links in tzdata.zi.
+// A link only says which zone an old name now shares rules with (Africa/Asmera -> Africa/Nairobi),
+// not which zone it names, so aliases are resolved through the ICU (CLDR) canonical ID first:
+// Africa/Asmera and Africa/Asmara are both Africa/Asmera there, and the alias gets Asmara's country.
+const fs = require('fs');
+const path = require('path');
+
+const option = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+};
+
+const zoneinfo = option('zoneinfo', '/usr/share/zoneinfo');
+const out = option('out', path.join(__dirname, '..', 'src', 'data', 'tz-country.json'));
+
+const readTable = (name) => {
+    const file = path.join(zoneinfo, name);
+    if (!fs.existsSync(file)) {
+        console.warn(`⚠️ ${file} not found, skipping`);
+        return [];
+    }
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split('\t'))
+        .map(([countries, , zone]) => ({ zone, countries: countries.split(',') }));
+};
+
+const zones = {};
+for (const { zone, countries } of [...readTable('zone.tab'), ...readTable('zone1970.tab')]) {
+    zones[zone] = [...new Set([...(zones[zone] || []), ...countries])];
+}
+
+if (Object.keys(zones).length === 0) {
+    console.error(`❌ No zone tables found under ${zoneinfo}`);
+    process.exit(1);
+}
+
+// CLDR canonical ID of a zone name, or null when this Node's ICU data does not know it
+const canonicalZone = (zone) => {
+    try {
+        return new Intl.DateTimeFormat('en', { timeZone: zone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+};
+
+const byCanonical = new Map();
+for (const zone of Object.keys(zones)) {
+    const canonical = canonicalZone(zone);
+    if (canonical && !byCanonical.has(canonical)) {
+        byCanonical.set(canonical, zone);
+    }
+}
+
+// "L <target> <alias>" lines; only aliases of zones that belong to a country are useful.
+// The link target is the fallback for names ICU cannot place.
+const tzdata = path.join(zoneinfo, 'tzdata.zi');
+let aliases = 0;
+if (fs.existsSync(tzdata)) {
+    for (const line of fs.readFileSync(tzdata, 'utf8').split('\n')) {
+        const [type, target, alias] = line.split(' ');
+        if (type !== 'L' || zones[alias]) {
+            continue;
+        }
+
+        const zone = byCanonical.get(canonicalZone(alias)) || target;
+        if (zones[zone]) {
+            zones[alias] = zones[zone];
+            aliases++;
+        }
+    }
+}
+
+// One zone per line keeps refreshes reviewable
+const lines = Object.keys(zones).sort().map(zone => `    ${JSON.stringify(zone)}: ${JSON.stringify(zones[zone].sort()).replace(/,/g, ', ')}`);
+fs.writeFileSync(out, `{\n${lines.join(',\n')}\n}\n`);
+console.log(`📂 Wrote ${lines.length} timezones (${aliases} aliases, ICU ${process.versions.icu} / tz ${process.versions.tz}) to ${out}`);
@@ -0,0 +1,23 @@
+// Recounts the per-city visitor counters behind `topCities` in /api/user-info/statistics from the
+// stored records. New records are counted as they are saved; run this once for records stored
+// before the counters existed, or to resynchronize them. Needs MONGODB_URI and the encryption keys.
+//
+//   node scripts/rebuild-city-statistics.js
+require('dotenv').config();
+const database = require('../src/config/database');
+const { UserInfo } = require('../src/models/UserInfo');
+
+const run = async () => {
+    await database.connect();
+    try {
+        const cities = await UserInfo.rebuildCityStatistics();
+        console.log(`🏙️ Rebuilt visitor counts for ${cities} cities`);
+    } finally {
+        await database.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error('❌ Rebuilding city statistics failed:', error.message);
+    process.exit(1);
+});
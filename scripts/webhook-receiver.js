@@ -0,0 +1,54 @@
+// Local webhook receiver for trying deliveries end to end: verifies the signature of every
+// request, logs it, and can fail on purpose to exercise retries and dead-lettering.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [--port 4000] [--fail 3] [--status 500]
+//
+// --fail N answers the first N requests with --status (default 500) before accepting.
+// Register it with: POST /api/admin/webhooks {"url":"http://localhost:4000/webhooks","events":["threat.high"]}
+const http = require('http');
+const WebhookService = require('../src/services/WebhookService');
+
+const option = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+};
+
+const port = Number(option('port', 4000));
+let failuresLeft = Number(option('fail', 0));
+const failStatus = Number(option('status', 500));
+const secret = process.env.WEBHOOK_SECRET;
+
+if (!secret) {
+    console.warn('⚠️ WEBHOOK_SECRET is not set, signatures will be reported as unverified');
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers['x-webhook-signature'];
+        const verified = secret ? WebhookService.verifySignature(secret, signature, body) : null;
+
+        console.log(`🪝 ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} signature ${verified === null ? 'unverified' : verified ? 'valid' : 'INVALID'}`);
+        console.log(body);
+
+        if (verified === false) {
+            res.writeHead(401, { 'Content-Type': 'text/plain' });
+            return res.end('invalid signature');
+        }
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`↩️ Answering ${failStatus} on purpose (${failuresLeft} failures left)`);
+            res.writeHead(failStatus, { 'Content-Type': 'text/plain' });
+            return res.end('simulated failure');
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${port}/webhooks`);
+});
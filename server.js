@@ -1,5 +1,7 @@
 const app = require('./src/app');
 const database = require('./src/config/database');
+const RetentionService = require('./src/services/RetentionService');
+const WebhookService = require('./src/services/WebhookService');
 
 const PORT = process.env.PORT || 3000;
 
@@ -14,11 +16,17 @@ const server = app.listen(PORT, () => {
     console.log(`🧪 Smart test page: http://localhost:${PORT}/smart-test.html`);
     console.log(`🎯 Live tracker page: http://localhost:${PORT}/live-tracker.html`);
     console.log(`🔒 Stealth tracker page: http://localhost:${PORT}/stealth-tracker.html`);
+    console.log(`🗓️ Retention policy: http://localhost:${PORT}/api/privacy/retention`);
+
+    RetentionService.start();
+    WebhookService.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    RetentionService.stop();
+    WebhookService.stop();
     server.close(async () => {
         await database.disconnect();
         process.exit(0);
@@ -27,6 +35,8 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    RetentionService.stop();
+    WebhookService.stop();
     server.close(async () => {
         await database.disconnect();
         process.exit(0);
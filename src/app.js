@@ -7,6 +7,12 @@ require('dotenv').config();
 
 const database = require('./config/database');
 const userInfoRoutes = require('./routes/userInfoRoutes');
+const privacyRoutes = require('./routes/privacyRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { corsOptionsDelegate } = require('./config/cors');
+const { resolveClientIp } = require('./middleware/clientIpMiddleware');
+const ClientIpService = require('./services/ClientIpService');
+const { anonymizeIP } = require('./utils/ip');
 
 const app = express();
 
@@ -15,30 +21,32 @@ database.connect().catch(err => {
     console.error('Failed to connect to database:', err.message);
 });
 
+// Only proxies in TRUSTED_PROXIES may set the client address (keeps req.ip consistent with req.clientIp)
+app.set('trust proxy', (address) => ClientIpService.isTrustedProxy(address));
+
 // Security middleware
 app.use(helmet());
 
-// CORS configuration for frontend access
-app.use(cors({
-    origin: process.env.FRONTEND_URL || '*', // Configure this for production
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Demo-Mode']
-}));
+// CORS configuration for frontend access (see config/cors.js)
+app.use(cors(corsOptionsDelegate));
+
+// Resolve the client address through trusted proxies only
+app.use(resolveClientIp);
 
-// Logging middleware
+// Logging middleware (client addresses are anonymized like stored records)
+morgan.token('remote-addr', (req) => anonymizeIP(req.clientIp) || '-');
 app.use(morgan('combined'));
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies (capped; larger payloads are rejected with 413)
+app.use(express.json({ limit: process.env.MAX_BODY_SIZE || '32kb' }));
 
 // Serve static files from root directory (relative to project root)
 app.use(express.static(require('path').join(__dirname, '..')));
 
-// Trust proxy for accurate IP detection
-app.set('trust proxy', true);
-
 // Routes
 app.use('/api', userInfoRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -52,6 +60,21 @@ app.use((req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Body parser errors: oversized or malformed JSON
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            message: `Request body exceeds the ${process.env.MAX_BODY_SIZE || '32kb'} limit`
+        });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            success: false,
+            message: 'Request body is not valid JSON',
+            errors: [{ path: '(body)', message: err.message }]
+        });
+    }
+
     console.error(err.stack);
     res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -0,0 +1,33 @@
+const { positive, parseJsonEnv, loadOnce } = require('./loader');
+
+// Proof-of-work challenge settings (environment, read once)
+
+// Difficulty is in leading zero bits of SHA-256; each extra bit doubles the expected work
+// (16 bits is ~65k hashes, a second or so in a browser). The level sets the base, and every
+// suspicious header and the bot severity add to it, up to `max`.
+const defaultDifficulty = {
+    levels: { Low: 10, Medium: 14, High: 17 },
+    suspiciousHeader: 1,
+    botSeverity: { none: 0, low: 0, medium: 1, high: 2 },
+    max: 20
+};
+
+// CHALLENGE_DIFFICULTY='{"levels":{"High":18},"max":22}' overrides any part of the defaults
+const getChallengeConfig = loadOnce(() => {
+    const overrides = parseJsonEnv('CHALLENGE_DIFFICULTY');
+
+    return {
+        difficulty: {
+            levels: { ...defaultDifficulty.levels, ...(overrides.levels || {}) },
+            suspiciousHeader: overrides.suspiciousHeader ?? defaultDifficulty.suspiciousHeader,
+            botSeverity: { ...defaultDifficulty.botSeverity, ...(overrides.botSeverity || {}) },
+            max: Math.min(positive(overrides.max, defaultDifficulty.max), 32)
+        },
+        // A challenge must be solved within this time
+        challengeTtlSeconds: positive(process.env.CHALLENGE_TTL_SECONDS, 120),
+        // A solved challenge earns a pass token valid for this long
+        passTtlMinutes: positive(process.env.CHALLENGE_PASS_TTL_MINUTES, 30)
+    };
+});
+
+module.exports = { getChallengeConfig };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const { parseJsonEnv, loadOnce } = require('./loader');
+
+// Named collection profiles: which extractors run and which fields may be computed or stored.
+// Consent purposes and DNT / GPC can only narrow a profile further, never widen it.
+const defaultProfiles = {
+    'security-only': {
+        description: 'Abuse prevention: client address, proxy detection and threat assessment',
+        extractors: ['network', 'security'],
+        fields: [
+            'network.ip', 'network.userAgent', 'network.proxyDetection',
+            'security',
+            'tracking.sessionId', 'tracking.lastSeen'
+        ]
+    },
+    'analytics-minimal': {
+        description: 'Aggregate analytics: browser, OS and coarse device details, no IP or location',
+        extractors: ['browser', 'system', 'device'],
+        fields: [
+            'browser', 'system',
+            'device.type', 'device.vendor', 'device.model', 'device.screenResolution',
+            'device.language', 'device.timezone',
+            'tracking.referrer', 'tracking.lastSeen'
+        ]
+    },
+    'full-with-consent': {
+        description: 'Everything the visitor consented to',
+        extractors: ['network', 'device', 'geolocation', 'browserLocation', 'browser', 'system', 'fingerprint', 'security', 'behavior'],
+        fields: ['*']
+    }
+};
+
+// Profiles and site-key assignments, optionally extended by COLLECTION_PROFILES_FILE:
+// { "defaultProfile": "...", "profiles": { "name": { extractors, fields } }, "siteKeys": { "key": "name" } }
+const loadCollectionConfig = loadOnce(() => {
+    let fileConfig = {};
+    if (process.env.COLLECTION_PROFILES_FILE) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(process.env.COLLECTION_PROFILES_FILE, 'utf8'));
+        } catch (error) {
+            console.error('❌ Failed to load COLLECTION_PROFILES_FILE, using built-in profiles:', error.message);
+        }
+    }
+
+    const envSiteKeys = parseJsonEnv('SITE_PROFILES');
+    const profiles = { ...defaultProfiles, ...(fileConfig.profiles || {}) };
+    const defaultProfile = process.env.DEFAULT_COLLECTION_PROFILE || fileConfig.defaultProfile || 'full-with-consent';
+    if (!profiles[defaultProfile]) {
+        throw new Error(`Unknown default collection profile: ${defaultProfile}`);
+    }
+
+    return {
+        defaultProfile,
+        profiles,
+        siteKeys: { ...(fileConfig.siteKeys || {}), ...envSiteKeys }
+    };
+});
+
+const getProfile = (name) => {
+    const { profiles } = loadCollectionConfig();
+    return typeof name === 'string' && Object.hasOwn(profiles, name) ? { name, ...profiles[name] } : null;
+};
+
+// Route profile first, then the site key's profile, then the default. Site keys come from the
+// X-Site-Key header, so unknown keys (including "constructor" and other prototype names) get the default.
+const resolveProfile = ({ routeProfile = null, siteKey = null } = {}) => {
+    const config = loadCollectionConfig();
+
+    const siteProfile = siteKey && Object.hasOwn(config.siteKeys, siteKey) ? config.siteKeys[siteKey] : null;
+    const name = routeProfile || siteProfile || config.defaultProfile;
+    const profile = getProfile(name);
+    if (!profile) {
+        throw new Error(`Unknown collection profile: ${name}`);
+    }
+    return profile;
+};
+
+module.exports = {
+    loadCollectionConfig,
+    getProfile,
+    resolveProfile
+};
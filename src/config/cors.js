@@ -0,0 +1,36 @@
+// CORS policy. FRONTEND_URL is a comma-separated list of allowed origins ("*" = any origin).
+// Collection endpoints answer any allowed origin; requests carrying credentials
+// (an Authorization header, i.e. API keys) are only accepted from explicitly listed origins,
+// never through "*", so read endpoints cannot be called from arbitrary web pages.
+const getAllowedOrigins = () => (process.env.FRONTEND_URL || '*')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+const sendsCredentials = (req) => {
+    const requested = (req.headers['access-control-request-headers'] || '').toLowerCase();
+    return !!req.headers.authorization || requested.split(',').map(header => header.trim()).includes('authorization');
+};
+
+const corsOptionsDelegate = (req, callback) => {
+    const allowed = getAllowedOrigins();
+    const origin = req.headers.origin;
+    const listed = !!origin && allowed.includes(origin);
+
+    let allowOrigin;
+    if (sendsCredentials(req)) {
+        allowOrigin = listed ? origin : false;
+    } else {
+        allowOrigin = allowed.includes('*') ? '*' : (listed ? origin : false);
+    }
+
+    callback(null, {
+        origin: allowOrigin,
+        methods: ['GET', 'POST', 'DELETE'],
+        // Rate limit headers are read by browser clients to back off before and after a 429
+        exposedHeaders: ['X-Sandbox-Mode', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Consent-Token', 'X-Site-Key', 'X-Sandbox-Fixture', 'X-Challenge-Pass']
+    });
+};
+
+module.exports = { getAllowedOrigins, corsOptionsDelegate };
@@ -0,0 +1,79 @@
+// What each stored field group holds and why it is collected.
+// `consentPurpose` is the consent purpose that unlocks the group (null = needed to answer the request).
+const fieldGroups = {
+    network: {
+        description: 'Client IP address, request headers and connection details',
+        purpose: 'Answering the request, abuse prevention and proxy detection',
+        consentPurpose: null
+    },
+    device: {
+        description: 'Device type, vendor, model, screen and hardware characteristics, browser GPS location when shared',
+        purpose: 'Analytics on the devices visiting the site; precise location only with location consent',
+        consentPurpose: 'analytics'
+    },
+    geolocation: {
+        description: 'Country, region, city, coordinates, timezone and ISP resolved from the IP address',
+        purpose: 'Location analytics and location-based security checks',
+        consentPurpose: 'location'
+    },
+    browser: {
+        description: 'Browser name, version and rendering engine parsed from the User-Agent header',
+        purpose: 'Compatibility analytics and answering the request',
+        consentPurpose: null
+    },
+    system: {
+        description: 'Operating system, version and CPU architecture parsed from the User-Agent header',
+        purpose: 'Compatibility analytics and answering the request',
+        consentPurpose: null
+    },
+    fingerprint: {
+        description: 'Hash of device and header characteristics with confidence scores',
+        purpose: 'Recognising returning devices for analytics',
+        consentPurpose: 'analytics'
+    },
+    security: {
+        description: 'Proxy, VPN, Tor and bot indicators with the computed threat level',
+        purpose: 'Fraud and abuse prevention',
+        consentPurpose: 'security'
+    },
+    tracking: {
+        description: 'Session identifier, visit counts, referrer and on-page behaviour signals',
+        purpose: 'Session analytics and bot detection',
+        consentPurpose: 'analytics'
+    },
+    consent: {
+        description: 'Consent identifier and purposes the record was collected under',
+        purpose: 'Demonstrating the legal basis for processing',
+        consentPurpose: null
+    },
+    encryption: {
+        description: 'Wrapped data key and ciphertext of the fields encrypted at rest',
+        purpose: 'Protecting IP addresses, request headers and locations in storage',
+        consentPurpose: null
+    },
+    retention: {
+        description: 'Record expiry date and the field groups already removed by the retention scrubber',
+        purpose: 'Enforcing the data retention policy',
+        consentPurpose: null
+    }
+};
+
+// External services contacted during collection and what they receive
+const thirdParties = [
+    {
+        name: 'ipapi.co',
+        endpoint: 'http://ipapi.co/<ip>/json/',
+        extractor: 'geolocation',
+        dataShared: ['Client IP address'],
+        purpose: 'IP geolocation lookup'
+    },
+    {
+        name: 'ipinfo.io',
+        endpoint: 'https://ipinfo.io/<ip>/json',
+        extractor: 'geolocation',
+        dataShared: ['Client IP address'],
+        purpose: 'IP geolocation and ISP lookup'
+    }
+];
+
+module.exports = { fieldGroups, thirdParties };
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { loadOnce } = require('./loader');
+
+// Master key for field-level encryption at rest: 32 bytes as hex or base64, read from
+// ENCRYPTION_MASTER_KEY_FILE (preferred) or ENCRYPTION_MASTER_KEY.
+// Only the master key ID (a hash prefix) is stored next to the encrypted data.
+
+const parseKey = (raw) => {
+    const value = raw.trim();
+    const key = /^[0-9a-fA-F]{64}$/.test(value)
+        ? Buffer.from(value, 'hex')
+        : Buffer.from(value, 'base64');
+
+    if (key.length !== 32) {
+        throw new Error('master key must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+};
+
+const loadMasterKey = () => {
+    try {
+        if (process.env.ENCRYPTION_MASTER_KEY_FILE) {
+            return parseKey(fs.readFileSync(process.env.ENCRYPTION_MASTER_KEY_FILE, 'utf8'));
+        }
+        if (process.env.ENCRYPTION_MASTER_KEY) {
+            return parseKey(process.env.ENCRYPTION_MASTER_KEY);
+        }
+    } catch (error) {
+        console.error('❌ Invalid encryption master key:', error.message);
+        return null;
+    }
+
+    console.warn('⚠️ ENCRYPTION_MASTER_KEY_FILE / ENCRYPTION_MASTER_KEY is not defined, sensitive fields are stored unencrypted');
+    return null;
+};
+
+// { keyId, key } or null when encryption at rest is disabled
+const getMasterKey = loadOnce(() => {
+    const key = loadMasterKey();
+    return key
+        ? { keyId: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16), key }
+        : null;
+});
+
+module.exports = { getMasterKey };
@@ -0,0 +1,53 @@
+const { createPrefixTrie } = require('../utils/prefixTrie');
+const { parseJsonEnv, loadOnce } = require('./loader');
+
+const ACTIONS = ['allow', 'rate-limit', 'challenge', 'block'];
+const MODES = ['off', 'monitor', 'enforce'];
+
+// Action per threat level; individual signals can escalate past it (e.g. a crawler impostor is blocked)
+const defaultPolicy = {
+    levels: { Low: 'allow', Medium: 'rate-limit', High: 'challenge' },
+    signals: {},
+    rateLimitBudget: 'enforcement'
+};
+
+// "1.2.3.0/24, 2001:db8::/32" -> prefix trie; invalid entries are reported and skipped
+const buildList = (entries, name) => {
+    const trie = createPrefixTrie();
+    for (const entry of entries) {
+        if (!trie.insert(entry, { list: name })) {
+            console.error(`❌ Ignoring invalid ${name} entry: ${entry}`);
+        }
+    }
+    return trie;
+};
+
+const splitList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+// ENFORCEMENT_MODE      off | monitor (decide and log, never act) | enforce (default for this app: monitor)
+// ENFORCEMENT_ALLOWLIST comma-separated IPs / CIDRs that are always allowed
+// ENFORCEMENT_DENYLIST  comma-separated IPs / CIDRs that are always blocked
+// ENFORCEMENT_POLICY    JSON merged over the default policy, e.g.
+//                       {"levels":{"Medium":"allow"},"signals":{"tor":"block"}}
+const getEnforcementConfig = loadOnce(() => {
+    const overrides = parseJsonEnv('ENFORCEMENT_POLICY');
+    const mode = MODES.includes(process.env.ENFORCEMENT_MODE) ? process.env.ENFORCEMENT_MODE : 'monitor';
+
+    return {
+        mode,
+        policy: {
+            levels: { ...defaultPolicy.levels, ...(overrides.levels || {}) },
+            signals: { ...defaultPolicy.signals, ...(overrides.signals || {}) },
+            rateLimitBudget: overrides.rateLimitBudget || defaultPolicy.rateLimitBudget
+        },
+        allowlist: buildList(splitList(process.env.ENFORCEMENT_ALLOWLIST), 'allowlist'),
+        denylist: buildList(splitList(process.env.ENFORCEMENT_DENYLIST), 'denylist')
+    };
+});
+
+module.exports = {
+    ACTIONS,
+    MODES,
+    buildList,
+    getEnforcementConfig
+};
@@ -0,0 +1,38 @@
+// Shared by the config modules: settings are read from the environment once, on first use,
+// and JSON overrides that do not parse are reported and ignored.
+
+const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+// Parsed JSON from an environment variable, or `fallback` when it is unset or invalid
+const parseJsonEnv = (name, fallback = {}) => {
+    if (!process.env[name]) {
+        return fallback;
+    }
+
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        console.error(`❌ Invalid ${name}, using defaults:`, error.message);
+        return fallback;
+    }
+};
+
+// Wrap a config builder so it runs on the first call and its result (null included) is reused
+const loadOnce = (load) => {
+    let loaded = false;
+    let value;
+
+    return () => {
+        if (!loaded) {
+            value = load();
+            loaded = true;
+        }
+        return value;
+    };
+};
+
+module.exports = {
+    positive,
+    parseJsonEnv,
+    loadOnce
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { parseJsonEnv, loadOnce } = require('./loader');
+
+// Versioned HMAC keys for pseudonymizing stored identifiers, newest first, e.g.
+// PSEUDONYM_KEYS='[{"version":"v2","secret":"..."},{"version":"v1","secret":"...","retiredAt":"2026-10-01"}]'
+// A retired key is still used for lookups during the grace period, then dropped.
+
+// Versions prefix stored pseudonyms as "version:hmac", so they must be colon-free strings
+const isUsableKey = key => !!key
+    && typeof key.version === 'string' && key.version.length > 0 && !key.version.includes(':')
+    && typeof key.secret === 'string' && key.secret.length > 0;
+
+const loadKeys = () => {
+    const keys = parseJsonEnv('PSEUDONYM_KEYS', null);
+    if (keys) {
+        const valid = Array.isArray(keys)
+            ? keys.filter(isUsableKey)
+            : [];
+        if (valid.length > 0) {
+            return valid;
+        }
+        console.error('❌ PSEUDONYM_KEYS has no usable keys');
+    }
+
+    // Pseudonyms made with a per-process key cannot be looked up after a restart
+    console.warn('⚠️ PSEUDONYM_KEYS is not defined, using an ephemeral pseudonymization key');
+    return [{ version: 'eph', secret: crypto.randomBytes(32).toString('hex') }];
+};
+
+const getKeyRing = loadOnce(() => {
+    const graceDays = parseInt(process.env.PSEUDONYM_GRACE_DAYS) || 30;
+    const keys = loadKeys().map(key => {
+        const retiredAt = key.retiredAt ? new Date(key.retiredAt) : null;
+        return {
+            version: key.version,
+            secret: key.secret,
+            retiredAt,
+            lookupUntil: retiredAt ? new Date(retiredAt.getTime() + graceDays * 24 * 60 * 60 * 1000) : null
+        };
+    });
+
+    return {
+        graceDays,
+        keys,
+        active: keys.find(key => !key.retiredAt) || keys[0]
+    };
+});
+
+module.exports = { getKeyRing };
@@ -0,0 +1,42 @@
+const { positive, parseJsonEnv, loadOnce } = require('./loader');
+
+// Rate limit budgets. Every budget is a sliding window: `max` requests per `windowMs`.
+// `default` applies to all /api traffic; route budgets are consumed on top of it.
+const defaultBudgets = {
+    default: { windowMs: 15 * 60 * 1000, max: 300 },
+    collection: { windowMs: 15 * 60 * 1000, max: 100 },
+    tracking: { windowMs: 60 * 1000, max: 20 },
+    consent: { windowMs: 15 * 60 * 1000, max: 30 },
+    read: { windowMs: 60 * 1000, max: 60 },
+    admin: { windowMs: 60 * 1000, max: 30 },
+    challenge: { windowMs: 15 * 60 * 1000, max: 30 },
+    // Applied by the enforcement middleware to clients whose threat policy says rate-limit
+    enforcement: { windowMs: 60 * 1000, max: 10 }
+};
+
+// Overrides from RATE_LIMITS, e.g.
+// RATE_LIMITS='{"budgets":{"tracking":{"max":40}},"keys":{"3f9c0a1b2c3d4e5f":{"read":{"max":600}}},"highThreatFactor":0.2}'
+// `keys` gives individual API keys their own budgets.
+const getRateLimitConfig = loadOnce(() => {
+    const overrides = parseJsonEnv('RATE_LIMITS');
+
+    const budgets = {};
+    for (const name of new Set([...Object.keys(defaultBudgets), ...Object.keys(overrides.budgets || {})])) {
+        budgets[name] = { ...(defaultBudgets[name] || defaultBudgets.default), ...(overrides.budgets?.[name] || {}) };
+    }
+
+    const highThreatFactor = Number(overrides.highThreatFactor);
+
+    return {
+        store: process.env.RATE_LIMIT_STORE || 'memory',
+        // HMAC key for client addresses in counter keys; must be the same on every instance
+        secret: process.env.RATE_LIMIT_SECRET || null,
+        budgets,
+        keys: overrides.keys || {},
+        // High-threat clients get this fraction of every budget for `highThreatMinutes`
+        highThreatFactor: highThreatFactor > 0 && highThreatFactor <= 1 ? highThreatFactor : 0.25,
+        highThreatMinutes: positive(overrides.highThreatMinutes, 60)
+    };
+});
+
+module.exports = { getRateLimitConfig };
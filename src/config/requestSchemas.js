@@ -0,0 +1,230 @@
+// JSON schemas for every POST body. Unknown properties are stripped before validation
+// (see middleware/validationMiddleware.js), so each schema lists exactly what a route accepts.
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const shortString = (maxLength) => ({ type: 'string', maxLength });
+
+const connection = {
+    type: ['object', 'null'],
+    properties: {
+        effectiveType: nullable(shortString(16)),
+        downlink: nullable({ type: 'number', minimum: 0, maximum: 100000 }),
+        rtt: nullable({ type: 'number', minimum: 0, maximum: 600000 }),
+        saveData: nullable({ type: 'boolean' }),
+        type: nullable(shortString(32))
+    }
+};
+
+const browserLocation = {
+    type: ['object', 'null'],
+    properties: {
+        latitude: nullable({ type: 'number', minimum: -90, maximum: 90 }),
+        longitude: nullable({ type: 'number', minimum: -180, maximum: 180 }),
+        accuracy: nullable({ type: 'number', minimum: 0, maximum: 20000000 }),
+        altitude: nullable({ type: 'number', minimum: -20000, maximum: 100000 }),
+        altitudeAccuracy: nullable({ type: 'number', minimum: 0, maximum: 100000 }),
+        heading: nullable({ type: 'number', minimum: 0, maximum: 360 }),
+        speed: nullable({ type: 'number', minimum: 0, maximum: 10000 }),
+        timestamp: nullable({ type: 'number', minimum: 0 }),
+        source: nullable(shortString(64)),
+        error: nullable(shortString(256))
+    }
+};
+
+// Device and behaviour signals collected by the browser
+const deviceProperties = {
+    screenResolution: nullable({ type: 'string', maxLength: 16, pattern: '^\\d{1,5}x\\d{1,5}$' }),
+    colorDepth: nullable({ type: 'integer', minimum: 0, maximum: 64 }),
+    pixelDepth: nullable({ type: 'integer', minimum: 0, maximum: 64 }),
+    pixelRatio: nullable({ type: 'number', minimum: 0, maximum: 16 }),
+    timezone: nullable(shortString(64)),
+    language: nullable(shortString(35)),
+    languages: nullable({ type: 'array', maxItems: 20, items: shortString(35) }),
+    platform: nullable(shortString(64)),
+    userAgent: nullable(shortString(512)),
+    cookieEnabled: nullable({ type: 'boolean' }),
+    onlineStatus: nullable({ type: 'boolean' }),
+    touchSupport: nullable({ type: 'boolean' }),
+    hardwareConcurrency: nullable({ type: 'integer', minimum: 0, maximum: 1024 }),
+    deviceMemory: nullable({ type: 'number', minimum: 0, maximum: 1024 }),
+    maxTouchPoints: nullable({ type: 'integer', minimum: 0, maximum: 256 }),
+    connection,
+    browserLocation,
+    // Behaviour signals
+    screenTime: nullable({ type: 'number', minimum: 0, maximum: 31536000000 }),
+    clickPattern: nullable(shortString(256)),
+    scrollBehavior: nullable(shortString(256)),
+    keyboardEvents: nullable(shortString(256)),
+    mouseMovement: nullable(shortString(256)),
+    pageVisibility: nullable(shortString(32)),
+    rapidClicks: nullable({ type: 'boolean' })
+};
+
+const trackingId = nullable({ type: 'string', maxLength: 64, pattern: '^[A-Za-z0-9_-]+$' });
+const sessionDuration = nullable({ type: 'number', minimum: 0, maximum: 31536000000 });
+const counter = nullable({ type: 'integer', minimum: 0, maximum: 1000000 });
+
+// Threat scoring rule set (config/threatRules.json); every part is optional and merged over the active rules
+const THREAT_SIGNALS = ['proxy', 'tor', 'vpn', 'datacenter', 'bot', 'headerAnomalies', 'forwardingMismatch', 'velocity', 'timezoneMismatch', 'platformMismatch', 'languageMismatch', 'challengePass'];
+const points = { type: 'number', minimum: 0, maximum: 1000 };
+const requestCount = { type: 'integer', minimum: 1, maximum: 10000000 };
+const velocityLimits = {
+    type: 'object',
+    properties: { minute: requestCount, hour: requestCount, day: requestCount }
+};
+
+const threatSignal = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        weight: points,
+        max: points,
+        // velocity: request limits per counted dimension and window
+        limits: {
+            type: 'object',
+            properties: { ip: velocityLimits, prefix: velocityLimits, asn: velocityLimits }
+        },
+        weights: {
+            type: 'object',
+            properties: { none: points, low: points, medium: points, high: points }
+        }
+    }
+};
+
+const threatRuleOverride = {
+    type: 'object',
+    properties: {
+        thresholds: {
+            type: 'object',
+            properties: { medium: points, high: points }
+        },
+        recommendations: {
+            type: 'object',
+            properties: { Low: shortString(256), Medium: shortString(256), High: shortString(256) }
+        },
+        signals: {
+            type: 'object',
+            properties: Object.fromEntries(THREAT_SIGNALS.map(signal => [signal, threatSignal]))
+        }
+    }
+};
+
+const threatRules = {
+    ...threatRuleOverride,
+    properties: {
+        ...threatRuleOverride.properties,
+        // Per-site overrides keyed by site key (X-Site-Key)
+        sites: {
+            type: 'object',
+            maxProperties: 200,
+            patternProperties: { '^[A-Za-z0-9_.-]{1,64}$': threatRuleOverride }
+        }
+    }
+};
+
+const schemas = {
+    userInfo: {
+        type: 'object',
+        properties: deviceProperties
+    },
+    liveTrack: {
+        type: 'object',
+        properties: {
+            ...deviceProperties,
+            trackingId,
+            trackingCount: counter,
+            sessionDuration,
+            interval: nullable({ type: 'integer', minimum: 1000, maximum: 3600000 }),
+            trackingTimestamp: nullable(shortString(40)),
+            // Only the fields analyzeMovement reads
+            previousLocation: {
+                type: ['object', 'null'],
+                properties: {
+                    coordinates: {
+                        type: ['object', 'null'],
+                        properties: {
+                            latitude: nullable({ type: 'number', minimum: -90, maximum: 90 }),
+                            longitude: nullable({ type: 'number', minimum: -180, maximum: 180 })
+                        }
+                    },
+                    timestamp: nullable({ type: 'number', minimum: 0 })
+                }
+            }
+        }
+    },
+    stealthTrack: {
+        type: 'object',
+        properties: {
+            ...deviceProperties,
+            trackingId,
+            calculationCount: counter,
+            sessionDuration,
+            calculationTimestamp: nullable(shortString(40))
+        }
+    },
+    consentGrant: {
+        type: 'object',
+        required: ['purposes'],
+        properties: {
+            purposes: { type: 'array', minItems: 1, maxItems: 10, items: shortString(32) },
+            consentToken: shortString(2048)
+        }
+    },
+    consentWithdraw: {
+        type: 'object',
+        properties: {
+            purposes: { type: 'array', maxItems: 10, items: shortString(32) },
+            consentToken: shortString(2048)
+        }
+    },
+    subjectRequest: {
+        type: 'object',
+        properties: {
+            ip: shortString(64),
+            pseudonymousId: shortString(128),
+            consentId: shortString(64),
+            mode: shortString(16),
+            dryRun: { type: 'boolean' }
+        }
+    },
+    apiKeyCreate: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            scopes: { type: 'array', minItems: 1, maxItems: 20, items: shortString(32) },
+            expiresInDays: { type: 'number', exclusiveMinimum: 0, maximum: 3650 }
+        }
+    },
+    challengeVerify: {
+        type: 'object',
+        required: ['challenge', 'nonce'],
+        properties: {
+            challenge: { type: 'string', minLength: 1, maxLength: 1024 },
+            nonce: { type: 'string', minLength: 1, maxLength: 64 }
+        }
+    },
+    webhookCreate: {
+        type: 'object',
+        required: ['url', 'events'],
+        properties: {
+            url: { type: 'string', minLength: 1, maxLength: 2048 },
+            events: { type: 'array', minItems: 1, maxItems: 10, items: shortString(64) },
+            description: nullable(shortString(256))
+        }
+    },
+    threatRules,
+    threatRulesDryRun: {
+        type: 'object',
+        required: ['rules'],
+        properties: {
+            rules: threatRules,
+            siteKey: nullable(shortString(64)),
+            from: nullable(shortString(40)),
+            to: nullable(shortString(40)),
+            limit: { type: 'integer', minimum: 1, maximum: 5000 }
+        }
+    }
+};
+
+module.exports = { THREAT_SIGNALS, schemas };
@@ -0,0 +1,81 @@
+const { parseJsonEnv, loadOnce } = require('./loader');
+
+// Retention per field group. `days: null` keeps the fields indefinitely.
+// The `record` group expires whole documents through a TTL index; every other group is
+// nulled in place by the retention scrubber once it is older than its retention period.
+const defaultPolicy = {
+    record: {
+        days: null,
+        description: 'Whole record (deleted by the TTL index on retention.expiresAt)',
+        fields: []
+    },
+    rawIp: {
+        days: 7,
+        description: 'Client IP address (anonymized, sealed in the encrypted envelope) and forwarding chain',
+        fields: ['network.xForwardedFor', 'network.xRealIp']
+    },
+    ipPseudonym: {
+        days: null,
+        description: 'Keyed IP pseudonym used for lookups, visit counts and erasure; unlinkable once its key leaves the rotation grace period',
+        fields: ['network.ip']
+    },
+    headers: {
+        days: 30,
+        description: 'Request headers and connection details',
+        fields: [
+            'network.userAgent', 'network.acceptLanguage', 'network.acceptEncoding', 'network.acceptCharset',
+            'network.accept', 'network.connection', 'network.host', 'network.origin', 'network.referer',
+            'network.xForwardedProto', 'network.xForwardedHost', 'network.authorization', 'network.cookie',
+            'network.cacheControl', 'network.url', 'network.proxyDetection'
+        ]
+    },
+    preciseLocation: {
+        days: 7,
+        description: 'Browser GPS location shared by the visitor',
+        fields: ['device.browserLocation']
+    },
+    geolocation: {
+        days: 30,
+        description: 'City-level IP geolocation, coordinates and ISP',
+        fields: [
+            'geolocation.region', 'geolocation.city', 'geolocation.latitude', 'geolocation.longitude',
+            'geolocation.timezone', 'geolocation.isp', 'geolocation.organization'
+        ]
+    },
+    fingerprint: {
+        days: 30,
+        description: 'Device fingerprint hash and components',
+        fields: ['fingerprint']
+    },
+    behavior: {
+        days: 30,
+        description: 'Session identifiers, referrer and on-page behaviour',
+        fields: ['tracking.sessionId', 'tracking.trackingId', 'tracking.referrer', 'tracking.userBehavior']
+    },
+    security: {
+        days: 90,
+        description: 'Proxy, VPN, Tor, bot and threat assessment',
+        fields: ['security']
+    },
+    aggregates: {
+        days: null,
+        description: 'Coarse fields behind the aggregate counts (country, browser, OS, device type)',
+        fields: ['geolocation.country', 'browser', 'system', 'device.type', 'device.vendor', 'device.model']
+    }
+};
+
+// Defaults merged with RETENTION_POLICY, e.g. RETENTION_POLICY='{"rawIp":3,"record":365}'
+const getRetentionPolicy = loadOnce(() => {
+    const overrides = parseJsonEnv('RETENTION_POLICY');
+
+    const policy = {};
+    for (const [group, rule] of Object.entries(defaultPolicy)) {
+        const override = overrides[group];
+        const days = override === null || (Number.isFinite(override) && override >= 0) ? override : rule.days;
+        policy[group] = { ...rule, days };
+    }
+
+    return policy;
+});
+
+module.exports = { getRetentionPolicy };
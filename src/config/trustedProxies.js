@@ -0,0 +1,49 @@
+const { parseCIDR } = require('../utils/ip');
+const { loadOnce } = require('./loader');
+
+// Named sets of proxy ranges that TRUSTED_PROXIES can refer to
+const PRESETS = {
+    none: [],
+    loopback: ['127.0.0.0/8', '::1/128'],
+    // RFC 1918, link-local and unique-local ranges: in-VPC load balancers (AWS ALB / ELB, Azure, Kubernetes ingress)
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '169.254.0.0/16', 'fc00::/7', 'fe80::/10'],
+    // https://www.cloudflare.com/ips/
+    cloudflare: [
+        '173.245.48.0/20', '103.21.244.0/22', '103.22.200.0/22', '103.31.4.0/22', '141.101.64.0/18',
+        '108.162.192.0/18', '190.93.240.0/20', '188.114.96.0/20', '197.234.240.0/22', '198.41.128.0/17',
+        '162.158.0.0/15', '104.16.0.0/13', '104.24.0.0/14', '172.64.0.0/13', '131.0.72.0/22',
+        '2400:cb00::/32', '2606:4700::/32', '2803:f800::/32', '2405:b500::/32', '2405:8100::/32',
+        '2a06:98c0::/29', '2c0f:f248::/32'
+    ],
+    // Google Cloud external HTTP(S) load balancer front ends
+    gcp: ['35.191.0.0/16', '130.211.0.0/22']
+};
+
+// TRUSTED_PROXIES is a comma-separated list of preset names and CIDRs,
+// e.g. TRUSTED_PROXIES=loopback,private,cloudflare,203.0.113.0/24 (default: loopback)
+const getTrustedProxyRanges = loadOnce(() => {
+    const entries = (process.env.TRUSTED_PROXIES || 'loopback')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    const ranges = [];
+    for (const entry of entries) {
+        const cidrs = PRESETS[entry] || [entry];
+        for (const cidr of cidrs) {
+            const range = parseCIDR(cidr);
+            if (range) {
+                ranges.push({ ...range, cidr, source: PRESETS[entry] ? entry : 'custom' });
+            } else {
+                console.error(`❌ Ignoring invalid TRUSTED_PROXIES entry: ${entry}`);
+            }
+        }
+    }
+
+    return ranges;
+});
+
+module.exports = {
+    PRESETS,
+    getTrustedProxyRanges
+};
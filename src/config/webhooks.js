@@ -0,0 +1,18 @@
+const { positive, loadOnce } = require('./loader');
+
+// Webhook delivery settings (environment, read once)
+const getWebhookConfig = loadOnce(() => ({
+    // A delivery is dead-lettered after this many failed attempts
+    maxAttempts: positive(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+    // Retry n waits retryBaseMs * 2^(n-1), capped at maxBackoffMs, with ±20% jitter
+    retryBaseMs: positive(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30) * 1000,
+    maxBackoffMs: positive(process.env.WEBHOOK_MAX_BACKOFF_MINUTES, 60) * 60 * 1000,
+    timeoutMs: positive(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) * 1000,
+    pollIntervalMs: positive(process.env.WEBHOOK_POLL_INTERVAL_SECONDS, 5) * 1000,
+    // Delivery log entries (including dead letters) are removed after this many days
+    retentionDays: positive(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 30),
+    // Plain http:// receivers are only accepted on localhost unless this is set
+    allowHttp: process.env.WEBHOOK_ALLOW_HTTP === 'true'
+}));
+
+module.exports = { getWebhookConfig };
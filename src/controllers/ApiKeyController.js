@@ -0,0 +1,112 @@
+const { ApiKey } = require('../models/ApiKey');
+const ApiKeyService = require('../services/ApiKeyService');
+const AccessAuditService = require('../services/AccessAuditService');
+
+class ApiKeyController {
+    // Create a key; the secret is only ever returned in this response
+    static async create(req, res) {
+        try {
+            const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+            const scopes = ApiKeyService.normalizeScopes(req.body?.scopes);
+            if (!name || scopes.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A name and at least one valid scope are required',
+                    allowedScopes: ApiKeyService.scopes
+                });
+            }
+
+            const expiresInDays = req.body.expiresInDays === undefined ? null : Number(req.body.expiresInDays);
+            if (expiresInDays !== null && !(expiresInDays > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'expiresInDays must be a positive number'
+                });
+            }
+
+            const key = await ApiKeyService.createKey({
+                name,
+                scopes,
+                expiresInDays,
+                createdBy: ApiKeyService.describeActor(req.auth)
+            });
+
+            await AccessAuditService.record(req, 'apiKey.create', {
+                filters: { keyId: key.keyId, name, scopes, expiresAt: key.expiresAt }
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'API key created successfully; store the key now, it cannot be shown again',
+                data: key
+            });
+        } catch (error) {
+            console.error('❌ Error in API key create controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create API key',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // List keys (never their secrets); ?includeRevoked=true adds revoked keys
+    static async list(req, res) {
+        try {
+            const keys = await ApiKey.list({ includeRevoked: req.query.includeRevoked === 'true' });
+
+            res.status(200).json({
+                success: true,
+                message: 'API keys retrieved successfully',
+                data: keys,
+                count: keys.length
+            });
+        } catch (error) {
+            console.error('❌ Error in API key list controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to list API keys',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    static async revoke(req, res) {
+        try {
+            const revoked = await ApiKey.revoke(req.params.keyId);
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Active API key not found'
+                });
+            }
+
+            await AccessAuditService.record(req, 'apiKey.revoke', {
+                filters: { keyId: revoked.keyId, name: revoked.name }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'API key revoked successfully',
+                data: revoked
+            });
+        } catch (error) {
+            console.error('❌ Error in API key revoke controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke API key',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    static listScopes(req, res) {
+        res.status(200).json({
+            success: true,
+            message: 'API key scopes retrieved successfully',
+            data: ApiKeyService.scopes
+        });
+    }
+}
+
+module.exports = ApiKeyController;
@@ -0,0 +1,77 @@
+const { AuditLog } = require('../models/AuditLog');
+const AccessAuditService = require('../services/AccessAuditService');
+const { parseDate } = require('../utils/dates');
+
+class AuditController {
+    // Review audit events: ?type=&actor=&from=&to=&limit=&skip=
+    static async query(req, res) {
+        try {
+            const from = parseDate(req.query.from);
+            const to = parseDate(req.query.to);
+            if (from === undefined || to === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from and to must be valid dates'
+                });
+            }
+
+            const filters = {
+                type: req.query.type || null,
+                actor: req.query.actor || null,
+                from,
+                to,
+                limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+                skip: parseInt(req.query.skip) || 0
+            };
+            const { entries, total } = await AuditLog.query(filters);
+
+            // Reviewing the audit log is itself an audited access
+            await AccessAuditService.record(req, 'audit.read', {
+                filters,
+                recordCount: entries.length
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Audit events retrieved successfully',
+                data: entries,
+                count: entries.length,
+                pagination: {
+                    limit: filters.limit,
+                    skip: filters.skip,
+                    total,
+                    hasMore: filters.skip + entries.length < total
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error in audit query controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to query audit log',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Recompute the hash chain and report the first broken entry
+    static async verify(req, res) {
+        try {
+            const result = await AuditLog.verifyChain();
+
+            res.status(200).json({
+                success: true,
+                message: result.valid ? 'Audit chain is intact' : `Audit chain broken at entry #${result.brokenAt}`,
+                data: result
+            });
+        } catch (error) {
+            console.error('❌ Error in audit verify controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify audit log',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = AuditController;
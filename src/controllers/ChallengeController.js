@@ -0,0 +1,60 @@
+const UserInfoService = require('../services/UserInfoService');
+const ChallengeService = require('../services/ChallengeService');
+const { anonymizeIP } = require('../utils/ip');
+
+class ChallengeController {
+    // Issue a proof-of-work challenge sized to the caller's current threat assessment
+    static async issue(req, res) {
+        try {
+            const ip = req.clientIp;
+            const threatLevel = UserInfoService.calculateThreatLevel(req, ip);
+            const challenge = ChallengeService.issue(ip, threatLevel);
+
+            console.log(`🧩 Challenge issued to ${anonymizeIP(ip)} (${threatLevel.level}, difficulty ${challenge.difficulty})`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Challenge issued successfully',
+                data: challenge
+            });
+        } catch (error) {
+            console.error('❌ Error in challenge issue controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to issue challenge',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Check a solution; a correct one is exchanged for a pass token (sent back as X-Challenge-Pass)
+    static async verify(req, res) {
+        try {
+            const ip = req.clientIp;
+            const result = ChallengeService.redeem(req.body.challenge, req.body.nonce, ip);
+            if (!result.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.reason
+                });
+            }
+
+            console.log(`🧩 Challenge solved by ${anonymizeIP(ip)}`);
+
+            res.status(200).json({
+                success: true,
+                message: 'Challenge solved successfully',
+                data: { passToken: result.passToken, expiresAt: result.expiresAt }
+            });
+        } catch (error) {
+            console.error('❌ Error in challenge verify controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify challenge',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = ChallengeController;
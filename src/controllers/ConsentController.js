@@ -0,0 +1,112 @@
+const { ConsentLedger } = require('../models/ConsentLedger');
+const ConsentService = require('../services/ConsentService');
+
+const getConsentToken = (req) => req.headers['x-consent-token'] || req.body?.consentToken || null;
+
+class ConsentController {
+    // Grant consent for one or more purposes (amends an existing consent when a token is sent)
+    static async grant(req, res) {
+        try {
+            const purposes = ConsentService.normalizePurposes(req.body?.purposes);
+            if (purposes.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least one valid purpose is required',
+                    allowedPurposes: ConsentService.purposes
+                });
+            }
+
+            // Only the holder of a valid token may amend an existing consent
+            const existing = ConsentService.verifyToken(getConsentToken(req));
+            const consent = await ConsentService.grant(purposes, {
+                consentId: existing.valid ? existing.consentId : null,
+                origin: req.headers.origin || null
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Consent recorded successfully',
+                data: consent
+            });
+        } catch (error) {
+            console.error('❌ Error in consent grant controller:', error);
+            res.status(503).json({
+                success: false,
+                message: 'Failed to record consent',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Withdraw some or all purposes for the consent named by the token
+    static async withdraw(req, res) {
+        try {
+            const verified = ConsentService.verifyToken(getConsentToken(req));
+            if (!verified.valid) {
+                return res.status(401).json({
+                    success: false,
+                    message: verified.reason
+                });
+            }
+
+            const purposes = ConsentService.normalizePurposes(req.body?.purposes);
+            const result = await ConsentService.withdraw(verified.consentId, purposes, {
+                origin: req.headers.origin || null
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Consent withdrawal recorded successfully',
+                data: result
+            });
+        } catch (error) {
+            console.error('❌ Error in consent withdraw controller:', error);
+            res.status(503).json({
+                success: false,
+                message: 'Failed to record consent withdrawal',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Current consent state and ledger history for the token holder
+    static async getStatus(req, res) {
+        try {
+            const verified = ConsentService.verifyToken(getConsentToken(req));
+            if (!verified.valid) {
+                return res.status(401).json({
+                    success: false,
+                    message: verified.reason
+                });
+            }
+
+            const consent = await ConsentService.resolveConsent(getConsentToken(req));
+            const history = await ConsentLedger.getHistory(verified.consentId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Consent status retrieved successfully',
+                data: {
+                    consentId: verified.consentId,
+                    active: consent.valid,
+                    purposes: consent.purposes,
+                    history: history.map(entry => ({
+                        action: entry.action,
+                        purposes: entry.purposes,
+                        policyVersion: entry.policyVersion,
+                        timestamp: entry.timestamp
+                    }))
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error in consent status controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch consent status',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = ConsentController;
@@ -0,0 +1,160 @@
+const PrivacyService = require('../services/PrivacyService');
+const RetentionService = require('../services/RetentionService');
+const ApiKeyService = require('../services/ApiKeyService');
+const AccessAuditService = require('../services/AccessAuditService');
+const { renderDisclosure } = require('../views/disclosureView');
+
+class PrivacyController {
+    // Data subject access request: export every record tied to the given identifiers
+    static async subjectAccess(req, res) {
+        try {
+            const identifiers = PrivacyService.normalizeIdentifiers(req.body || {});
+            if (Object.keys(identifiers).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least one subject identifier is required',
+                    allowedIdentifiers: PrivacyService.subjectIdentifiers
+                });
+            }
+
+            const bundle = await PrivacyService.buildSubjectAccessBundle(identifiers);
+
+            await AccessAuditService.record(req, 'subject-access.export', {
+                filters: { identifierTypes: Object.keys(identifiers) },
+                recordCount: bundle.manifest.recordCount,
+                recordIds: bundle.records.map(record => record._id)
+            });
+
+            if (req.query.download === 'true') {
+                res.setHeader('Content-Disposition', `attachment; filename="subject-access-${Date.now()}.json"`);
+            }
+
+            res.status(200).json({
+                success: true,
+                message: `Subject access bundle with ${bundle.manifest.recordCount} records generated successfully`,
+                data: bundle
+            });
+        } catch (error) {
+            console.error('❌ Error in subject access controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to build subject access bundle',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Right-to-erasure request; ?dryRun=true reports what would be removed
+    static async erasure(req, res) {
+        try {
+            const identifiers = PrivacyService.normalizeIdentifiers(req.body || {});
+            if (Object.keys(identifiers).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least one subject identifier is required',
+                    allowedIdentifiers: PrivacyService.subjectIdentifiers
+                });
+            }
+
+            const mode = req.body.mode || process.env.ERASURE_MODE || 'delete';
+            if (!PrivacyService.erasureModes.includes(mode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown erasure mode: ${mode}`,
+                    allowedModes: PrivacyService.erasureModes
+                });
+            }
+
+            const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+            const result = await PrivacyService.eraseSubject(identifiers, {
+                dryRun,
+                mode,
+                actor: ApiKeyService.describeActor(req.auth),
+                route: AccessAuditService.describeRoute(req)
+            });
+
+            // Completed erasures are audited by the service; a dry run is still a read of the matches
+            if (dryRun) {
+                await AccessAuditService.record(req, 'erasure.dryRun', {
+                    filters: { identifierTypes: Object.keys(identifiers), mode },
+                    recordCount: result.matched,
+                    recordIds: result.recordIds
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: dryRun
+                    ? `Dry run: ${result.matched} records would be affected`
+                    : `Erasure completed: ${result.affected} records affected`,
+                data: result
+            });
+        } catch (error) {
+            console.error('❌ Error in erasure controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to process erasure request',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Active retention policy (read-only, for auditors)
+    static getRetentionPolicy(req, res) {
+        res.status(200).json({
+            success: true,
+            message: 'Retention policy retrieved successfully',
+            data: RetentionService.describePolicy()
+        });
+    }
+
+    // Data disclosure generated from the live configuration; ?profile= or ?siteKey= selects the profile
+    static getDisclosure(req, res) {
+        try {
+            const disclosure = PrivacyService.buildDisclosure({
+                profileName: req.query.profile || null,
+                siteKey: req.query.siteKey || null
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Data disclosure generated successfully',
+                data: disclosure
+            });
+        } catch (error) {
+            PrivacyController.handleDisclosureError(res, error);
+        }
+    }
+
+    // Same disclosure rendered as an HTML page
+    static getDisclosureHtml(req, res) {
+        try {
+            const disclosure = PrivacyService.buildDisclosure({
+                profileName: req.query.profile || null,
+                siteKey: req.query.siteKey || null
+            });
+
+            res.status(200).type('html').send(renderDisclosure(disclosure));
+        } catch (error) {
+            PrivacyController.handleDisclosureError(res, error);
+        }
+    }
+
+    static handleDisclosureError(res, error) {
+        if (error.message.startsWith('Unknown collection profile')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ Error in disclosure controller:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate data disclosure',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+}
+
+module.exports = PrivacyController;
@@ -0,0 +1,74 @@
+const { UserInfo } = require('../models/UserInfo');
+const ThreatScoringService = require('../services/ThreatScoringService');
+const AccessAuditService = require('../services/AccessAuditService');
+const { parseDate } = require('../utils/dates');
+
+class ThreatRulesController {
+    // Active rule set and the file version it was loaded from
+    static async getActive(req, res) {
+        try {
+            const { rules, version, error } = ThreatScoringService.getActiveRules();
+
+            res.status(200).json({
+                success: true,
+                message: 'Active threat rules retrieved successfully',
+                data: { version, error, signals: ThreatScoringService.signals, rules }
+            });
+        } catch (error) {
+            console.error('❌ Error in threat rules controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to load threat rules',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Replay stored records under a candidate rule set without enabling it
+    static async dryRun(req, res) {
+        try {
+            const { rules: candidate, siteKey = null, limit = 500 } = req.body;
+            const from = parseDate(req.body.from);
+            const to = parseDate(req.body.to);
+            if (from === undefined || to === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from and to must be valid dates'
+                });
+            }
+
+            const { rules, errors } = ThreatScoringService.buildCandidate(candidate);
+            if (errors) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Candidate threat rules are invalid',
+                    errors
+                });
+            }
+
+            const records = await UserInfo.getThreatSnapshots({ limit, from, to });
+            const summary = ThreatScoringService.replay(records, rules, { siteKey });
+
+            // Replaying reads stored visitor records
+            await AccessAuditService.record(req, 'threatRules.dryRun', {
+                filters: { siteKey, from, to, limit },
+                recordCount: records.length
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Dry run completed; the active rules were not changed',
+                data: { candidate: rules, ...summary }
+            });
+        } catch (error) {
+            console.error('❌ Error in threat rules dry run controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to run threat rules dry run',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+}
+
+module.exports = ThreatRulesController;
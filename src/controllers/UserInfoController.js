@@ -1,5 +1,12 @@
 const { UserInfo } = require('../models/UserInfo');
 const UserInfoService = require('../services/UserInfoService');
+const EncryptionService = require('../services/EncryptionService');
+const AccessAuditService = require('../services/AccessAuditService');
+const SandboxService = require('../services/SandboxService');
+const TorExitListService = require('../services/TorExitListService');
+const IpIntelligenceService = require('../services/IpIntelligenceService');
+const BotDetectionService = require('../services/BotDetectionService');
+const VelocityTracker = require('../services/VelocityTracker');
 
 class UserInfoController {
     // Main endpoint to get user information
@@ -15,18 +22,20 @@ class UserInfoController {
             const validatedData = UserInfo.validateData(userData);
             const userInfo = new UserInfo(validatedData);
 
-            // Save to database
+            // Save to database (only when the visitor granted consent)
             let savedRecord = null;
-            try {
-                savedRecord = await UserInfo.saveToDatabase(validatedData);
-                console.log(`💾 User info saved to database with ID: ${savedRecord._id}`);
-            } catch (dbError) {
-                console.error('❌ Database save error (continuing with response):', dbError.message);
-                // Continue with response even if database save fails
+            if (userData.privacy.persist) {
+                try {
+                    savedRecord = await UserInfo.saveToDatabase(validatedData, { sandbox: !!req.sandbox, subjectIp: userData.subjectIp });
+                    console.log(`💾 User info saved to database with ID: ${savedRecord._id}`);
+                } catch (dbError) {
+                    console.error('❌ Database save error (continuing with response):', dbError.message);
+                    // Continue with response even if database save fails
+                }
             }
 
             // Log the request (optional - remove in production if not needed)
-            console.log(`📊 User info collected for IP: ${userData.network.ip}`);
+            console.log(`📊 User info collected for IP: ${userData.network?.ip}`);
 
             // Return the complete user information
             res.status(200).json({
@@ -34,13 +43,18 @@ class UserInfoController {
                 message: 'User information collected successfully',
                 data: userInfo.toJSON(),
                 summary: userInfo.getSummary(),
+                privacy: userData.privacy,
                 database: savedRecord ? {
                     saved: true,
                     id: savedRecord._id,
                     savedAt: savedRecord.createdAt
                 } : {
                     saved: false,
-                    message: 'Failed to save to database but data collected successfully'
+                    message: userData.privacy.persist
+                        ? 'Failed to save to database but data collected successfully'
+                        : userData.privacy.signalsHonored.length > 0
+                            ? `Not stored: honoring ${userData.privacy.signalsHonored.join(', ')}`
+                            : 'Not stored: no valid consent token'
                 }
             });
 
@@ -61,17 +75,20 @@ class UserInfoController {
             const validatedData = UserInfo.validateData(userData);
             const userInfo = new UserInfo(validatedData);
 
-            // Save to database
-            try {
-                await UserInfo.saveToDatabase(validatedData);
-            } catch (dbError) {
-                console.error('❌ Database save error (continuing with response):', dbError.message);
+            // Save to database (only when the visitor granted consent)
+            if (userData.privacy.persist) {
+                try {
+                    await UserInfo.saveToDatabase(validatedData, { sandbox: !!req.sandbox, subjectIp: userData.subjectIp });
+                } catch (dbError) {
+                    console.error('❌ Database save error (continuing with response):', dbError.message);
+                }
             }
 
             res.status(200).json({
                 success: true,
                 message: 'User information summary collected successfully',
-                data: userInfo.getSummary()
+                data: userInfo.getSummary(),
+                privacy: userData.privacy
             });
 
         } catch (error) {
@@ -90,7 +107,14 @@ class UserInfoController {
             const limit = parseInt(req.query.limit) || 100;
             const skip = parseInt(req.query.skip) || 0;
             
-            const records = await UserInfo.getAllRecords(limit, skip);
+            const decrypt = EncryptionService.canDecrypt(req.auth);
+            const records = await UserInfo.getAllRecords(limit, skip, { decrypt });
+
+            await AccessAuditService.record(req, 'records.read', {
+                filters: { limit, skip, decrypt },
+                recordCount: records.length,
+                recordIds: records.map(record => record._id)
+            });
             
             res.status(200).json({
                 success: true,
@@ -119,7 +143,14 @@ class UserInfoController {
             const { ip } = req.params;
             const limit = parseInt(req.query.limit) || 50;
             
-            const records = await UserInfo.getRecordsByIP(ip, limit);
+            const decrypt = EncryptionService.canDecrypt(req.auth);
+            const records = await UserInfo.getRecordsByIP(ip, limit, { decrypt });
+
+            await AccessAuditService.record(req, 'records.readByIp', {
+                filters: { ip: AccessAuditService.maskIP(ip), limit, decrypt },
+                recordCount: records.length,
+                recordIds: records.map(record => record._id)
+            });
             
             res.status(200).json({
                 success: true,
@@ -140,7 +171,13 @@ class UserInfoController {
     // Get database statistics
     static async getStatistics(req, res) {
         try {
-            const stats = await UserInfo.getStatistics();
+            const decrypt = EncryptionService.canDecrypt(req.auth);
+            const stats = await UserInfo.getStatistics({ decrypt });
+
+            await AccessAuditService.record(req, 'statistics.read', {
+                filters: { decrypt },
+                recordCount: stats.totalRecords
+            });
             
             res.status(200).json({
                 success: true,
@@ -168,21 +205,26 @@ class UserInfoController {
             // Collect comprehensive user information
             const userData = await UserInfoService.collectUserInfo(req, frontendData);
             
+            // Browser GPS is only used when consent and privacy signals allow it
+            const browserLocation = userData.privacy.extractors.includes('browserLocation')
+                ? frontendData.browserLocation
+                : null;
+            
             // Enhanced location analysis for live tracking
             const locationAnalysis = {
                 // GPS Analysis
-                gpsLocation: frontendData.browserLocation && frontendData.browserLocation.latitude ? {
+                gpsLocation: browserLocation && browserLocation.latitude ? {
                     coordinates: {
-                        latitude: frontendData.browserLocation.latitude,
-                        longitude: frontendData.browserLocation.longitude,
-                        accuracy: frontendData.browserLocation.accuracy,
-                        altitude: frontendData.browserLocation.altitude,
-                        speed: frontendData.browserLocation.speed,
-                        heading: frontendData.browserLocation.heading
+                        latitude: browserLocation.latitude,
+                        longitude: browserLocation.longitude,
+                        accuracy: browserLocation.accuracy,
+                        altitude: browserLocation.altitude,
+                        speed: browserLocation.speed,
+                        heading: browserLocation.heading
                     },
-                    quality: UserInfoService.assessLocationQuality(frontendData.browserLocation),
+                    quality: UserInfoService.assessLocationQuality(browserLocation),
                     source: 'browser-gps',
-                    timestamp: frontendData.browserLocation.timestamp
+                    timestamp: browserLocation.timestamp
                 } : null,
                 
                 // IP-based location
@@ -198,7 +240,7 @@ class UserInfoController {
                         timezone: userData.geolocation.timezone
                     },
                     network: {
-                        ip: userData.network.ip,
+                        ip: userData.network?.ip,
                         isp: userData.geolocation.isp,
                         organization: userData.geolocation.organization
                     },
@@ -233,6 +275,7 @@ class UserInfoController {
                 ...userData,
                 tracking: {
                     ...userData.tracking,
+                    source: 'live-track',
                     trackingId,
                     trackingCount: frontendData.trackingCount || 1,
                     sessionDuration: frontendData.sessionDuration || 0,
@@ -242,14 +285,15 @@ class UserInfoController {
             };
             
             // Save to database with tracking metadata
-            const userInfo = new UserInfo(UserInfo.validateData(trackingData));
             let savedRecord = null;
             
-            try {
-                savedRecord = await userInfo.save();
-                console.log(`💾 Live tracking data saved: ${savedRecord.id}`);
-            } catch (dbError) {
-                console.warn('⚠️ Database save failed for live tracking:', dbError.message);
+            if (userData.privacy.persist) {
+                try {
+                    savedRecord = await UserInfo.saveToDatabase(trackingData, { sandbox: !!req.sandbox, subjectIp: userData.subjectIp });
+                    console.log(`💾 Live tracking data saved: ${savedRecord.id}`);
+                } catch (dbError) {
+                    console.warn('⚠️ Database save failed for live tracking:', dbError.message);
+                }
             }
             
             // Create enhanced response for live tracking
@@ -261,7 +305,7 @@ class UserInfoController {
                 data: trackingData,
                 locationAnalysis,
                 summary: {
-                    ip: userData.network.ip,
+                    ip: userData.network?.ip,
                     country: userData.geolocation?.country,
                     city: userData.geolocation?.city,
                     accuracy: locationAnalysis.gpsLocation?.coordinates.accuracy,
@@ -271,6 +315,7 @@ class UserInfoController {
                     ].filter(Boolean),
                     movementDetected: locationAnalysis.movement?.distance > 10 // 10 meter threshold
                 },
+                privacy: userData.privacy,
                 database: {
                     saved: !!savedRecord,
                     recordId: savedRecord?.id || null
@@ -302,8 +347,19 @@ class UserInfoController {
             // Collect comprehensive user information (no GPS)
             const userData = await UserInfoService.collectUserInfo(req, frontendData);
             
-            // Perform advanced stealth location analysis
-            const stealthAnalysis = await UserInfoService.performStealthLocationAnalysis(req, frontendData);
+            // Perform advanced stealth location analysis (skipped when geolocation is not allowed,
+            // e.g. DNT / GPC is honored or the collection profile excludes it)
+            const stealthAnalysis = userData.privacy.extractors.includes('geolocation')
+                ? await UserInfoService.performStealthLocationAnalysis(req, frontendData)
+                : {
+                    skipped: true,
+                    reason: userData.privacy.skipped.find(entry => entry.extractor === 'geolocation')?.reason || null,
+                    stealthLocation: null,
+                    confidence: 0,
+                    accuracy: null,
+                    algorithms: 0,
+                    source: 'stealth-analysis'
+                };
             
             // Enhanced stealth tracking data
             const stealthTrackingData = {
@@ -311,6 +367,7 @@ class UserInfoController {
                 stealthAnalysis,
                 tracking: {
                     ...userData.tracking,
+                    source: 'stealth-track',
                     trackingId,
                     calculationCount: frontendData.calculationCount || 1,
                     sessionDuration: frontendData.sessionDuration || 0,
@@ -321,14 +378,15 @@ class UserInfoController {
             };
             
             // Save to database with stealth metadata
-            const userInfo = new UserInfo(UserInfo.validateData(stealthTrackingData));
             let savedRecord = null;
             
-            try {
-                savedRecord = await userInfo.save();
-                console.log(`💾 Stealth tracking data saved: ${savedRecord.id}`);
-            } catch (dbError) {
-                console.warn('⚠️ Database save failed for stealth tracking:', dbError.message);
+            if (userData.privacy.persist) {
+                try {
+                    savedRecord = await UserInfo.saveToDatabase(stealthTrackingData, { sandbox: !!req.sandbox, subjectIp: userData.subjectIp });
+                    console.log(`💾 Stealth tracking data saved: ${savedRecord.id}`);
+                } catch (dbError) {
+                    console.warn('⚠️ Database save failed for stealth tracking:', dbError.message);
+                }
             }
             
             // Create enhanced response for stealth tracking
@@ -340,7 +398,7 @@ class UserInfoController {
                 data: stealthTrackingData,
                 stealthAnalysis,
                 summary: {
-                    ip: userData.network.ip,
+                    ip: userData.network?.ip,
                     country: userData.geolocation?.country,
                     city: userData.geolocation?.city,
                     stealthLocation: stealthAnalysis.stealthLocation,
@@ -349,6 +407,7 @@ class UserInfoController {
                     algorithmsUsed: stealthAnalysis.algorithms,
                     stealthMode: true
                 },
+                privacy: userData.privacy,
                 database: {
                     saved: !!savedRecord,
                     recordId: savedRecord?.id || null
@@ -369,6 +428,18 @@ class UserInfoController {
         }
     }
 
+    // Sandbox fixtures available through X-Sandbox-Fixture (synthetic data only)
+    static getSandboxFixtures(req, res) {
+        res.status(200).json({
+            success: true,
+            message: 'Sandbox fixtures retrieved successfully',
+            data: {
+                enabledByConfig: SandboxService.isEnabledByConfig(),
+                fixtures: SandboxService.describeFixtures()
+            }
+        });
+    }
+
     // Health check for user info service
     static async healthCheck(req, res) {
         try {
@@ -377,7 +448,11 @@ class UserInfoController {
                 message: 'User info service is running',
                 timestamp: new Date().toISOString(),
                 service: 'user-info-api',
-                database: 'connected'
+                database: 'connected',
+                torExitList: TorExitListService.describe(),
+                ipRanges: IpIntelligenceService.describe(),
+                botDetection: BotDetectionService.describe(),
+                velocity: VelocityTracker.describe()
             });
         } catch (error) {
             res.status(500).json({
@@ -0,0 +1,212 @@
+const { WebhookEndpoint } = require('../models/WebhookEndpoint');
+const { WebhookDelivery } = require('../models/WebhookDelivery');
+const WebhookService = require('../services/WebhookService');
+const ApiKeyService = require('../services/ApiKeyService');
+const AccessAuditService = require('../services/AccessAuditService');
+
+class WebhookController {
+    // Register an endpoint; the signing secret is only ever returned in this response
+    static async create(req, res) {
+        try {
+            const { url, events, description = null } = req.body;
+
+            const urlError = WebhookService.validateUrl(url);
+            const unknownEvents = events.filter(event => !WebhookService.eventTypes.includes(event));
+            if (urlError || unknownEvents.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: urlError || `Unknown event types: ${unknownEvents.join(', ')}`,
+                    allowedEvents: WebhookService.eventTypes
+                });
+            }
+
+            const endpoint = await WebhookService.registerEndpoint({
+                url,
+                events,
+                description,
+                createdBy: ApiKeyService.describeActor(req.auth)
+            });
+
+            await AccessAuditService.record(req, 'webhook.create', {
+                filters: { endpointId: endpoint.endpointId, url, events: endpoint.events }
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Webhook endpoint registered; store the secret now, it cannot be shown again',
+                data: endpoint
+            });
+        } catch (error) {
+            console.error('❌ Error in webhook create controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to register webhook endpoint',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // ?includeDisabled=true adds disabled endpoints
+    static async list(req, res) {
+        try {
+            const endpoints = await WebhookEndpoint.list({ includeDisabled: req.query.includeDisabled === 'true' });
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook endpoints retrieved successfully',
+                data: endpoints,
+                count: endpoints.length
+            });
+        } catch (error) {
+            console.error('❌ Error in webhook list controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to list webhook endpoints',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    static async disable(req, res) {
+        try {
+            const disabled = await WebhookEndpoint.disable(req.params.endpointId);
+            if (!disabled) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Active webhook endpoint not found'
+                });
+            }
+
+            await AccessAuditService.record(req, 'webhook.disable', {
+                filters: { endpointId: disabled.endpointId, url: disabled.url }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook endpoint disabled successfully',
+                data: disabled
+            });
+        } catch (error) {
+            console.error('❌ Error in webhook disable controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to disable webhook endpoint',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Send a signed webhook.test event now and report the receiver's answer
+    static async test(req, res) {
+        try {
+            const delivery = await WebhookService.sendTest(req.params.endpointId, ApiKeyService.describeActor(req.auth));
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook endpoint not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: delivery.status === 'delivered'
+                    ? 'Test event delivered'
+                    : `Test event not delivered: ${delivery.lastError}`,
+                data: delivery
+            });
+        } catch (error) {
+            console.error('❌ Error in webhook test controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send test event',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Delivery log: ?endpointId=&event=&status=&limit=&skip= (status=dead lists the dead letters)
+    static async deliveries(req, res) {
+        try {
+            const status = req.query.status || null;
+            if (status && !WebhookDelivery.statuses.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `status must be one of: ${WebhookDelivery.statuses.join(', ')}`
+                });
+            }
+
+            const filters = {
+                endpointId: req.query.endpointId || null,
+                event: req.query.event || null,
+                status,
+                limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+                skip: parseInt(req.query.skip) || 0
+            };
+            const { deliveries, total } = await WebhookDelivery.query(filters);
+
+            // Payloads carry record IDs and pseudonyms
+            await AccessAuditService.record(req, 'webhook.deliveries.read', {
+                filters,
+                recordCount: deliveries.length
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook deliveries retrieved successfully',
+                data: deliveries,
+                count: deliveries.length,
+                pagination: {
+                    limit: filters.limit,
+                    skip: filters.skip,
+                    total,
+                    hasMore: filters.skip + deliveries.length < total
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error in webhook deliveries controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to query webhook deliveries',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    // Requeue a dead-lettered (or delivered) delivery with a fresh attempt budget
+    static async redeliver(req, res) {
+        try {
+            const delivery = await WebhookDelivery.requeue(req.params.deliveryId);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Dead or delivered webhook delivery not found'
+                });
+            }
+
+            setImmediate(() => WebhookService.dispatchDue());
+
+            res.status(200).json({
+                success: true,
+                message: 'Webhook delivery requeued',
+                data: delivery
+            });
+        } catch (error) {
+            console.error('❌ Error in webhook redeliver controller:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to requeue webhook delivery',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+    }
+
+    static listEventTypes(req, res) {
+        res.status(200).json({
+            success: true,
+            message: 'Webhook event types retrieved successfully',
+            data: WebhookService.eventTypes
+        });
+    }
+}
+
+module.exports = WebhookController;
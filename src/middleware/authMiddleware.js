@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const ApiKeyService = require('../services/ApiKeyService');
+
+// Read the caller's token from "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+const safeEqual = (a, b) => {
+    const left = crypto.createHash('sha256').update(a).digest();
+    const right = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(left, right);
+};
+
+// Bearer authentication with either the root ADMIN_API_TOKEN (every scope) or a scoped API key.
+// Sets req.auth = { type: 'admin' | 'apiKey', keyId, name, scopes }.
+// With `optional`, requests without a token pass through unauthenticated.
+const authenticate = ({ scopes = [], optional = false } = {}) => {
+    return async (req, res, next) => {
+        const token = getBearerToken(req);
+        if (!token) {
+            if (optional) {
+                return next();
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required: send "Authorization: Bearer <api key>"'
+            });
+        }
+
+        const adminToken = process.env.ADMIN_API_TOKEN;
+        if (adminToken && safeEqual(token, adminToken)) {
+            req.auth = { type: 'admin', keyId: null, name: 'admin', scopes: ApiKeyService.scopes };
+            return next();
+        }
+
+        let result;
+        try {
+            result = await ApiKeyService.verifyKey(token);
+        } catch (error) {
+            console.error('❌ Error verifying API key:', error.message);
+            return res.status(503).json({
+                success: false,
+                message: 'Authentication is temporarily unavailable',
+                error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+            });
+        }
+
+        if (!result.valid) {
+            return res.status(401).json({
+                success: false,
+                message: result.reason
+            });
+        }
+
+        if (!ApiKeyService.hasScopes(result.auth, scopes)) {
+            return res.status(403).json({
+                success: false,
+                message: 'API key is missing a required scope',
+                requiredScopes: scopes
+            });
+        }
+
+        req.auth = result.auth;
+        next();
+    };
+};
+
+module.exports = {
+    getBearerToken,
+    authenticate
+};
@@ -0,0 +1,12 @@
+const ClientIpService = require('../services/ClientIpService');
+
+// Resolve the client address once per request through the trusted proxy chain.
+// req.clientIp is what gets recorded, rate-limited and logged; req.ipResolution says how it was found.
+const resolveClientIp = (req, res, next) => {
+    const { ip, resolution } = ClientIpService.resolve(req);
+    req.clientIp = ip;
+    req.ipResolution = resolution;
+    next();
+};
+
+module.exports = { resolveClientIp };
@@ -0,0 +1,137 @@
+const UserInfoService = require('../services/UserInfoService');
+const ClientIpService = require('../services/ClientIpService');
+const ChallengeService = require('../services/ChallengeService');
+const { ACTIONS, MODES, buildList, getEnforcementConfig } = require('../config/enforcement');
+const { rateLimit } = require('./userInfoMiddleware');
+const { anonymizeIP } = require('../utils/ip');
+
+const getClientIp = (req) => req.clientIp || ClientIpService.resolve(req).ip;
+
+// Default challenge response: a proof-of-work challenge sized to the assessment. Solving it at
+// POST /api/challenge/verify earns a pass (X-Challenge-Pass) that lowers the score on retry.
+// Pass `onChallenge` to serve a different challenge.
+const issueChallenge = (req, res, next, decision) => res.status(403).json({
+    success: false,
+    message: 'Additional verification required',
+    action: decision.action,
+    reasons: decision.reasons,
+    challenge: ChallengeService.issue(getClientIp(req), req.enforcement.security.threatLevel)
+});
+
+const logDecision = (decision, req) => {
+    const line = `🛡️ Enforcement ${decision.mode === 'monitor' ? '(monitor) ' : ''}${decision.action} ` +
+        `${req.method} ${req.originalUrl} client ${decision.client}: ${decision.reason}`;
+    if (decision.action === 'allow') {
+        console.log(line);
+    } else {
+        console.warn(line);
+    }
+};
+
+// Choose an action for the request. Lists win over the threat policy; within the policy the most
+// severe of the level's action and any triggered signal's action is taken.
+const decide = (ip, security, { allow, deny, policy }) => {
+    const threat = security.threatLevel;
+    const base = {
+        level: threat.level,
+        score: threat.score,
+        reasons: threat.reasons,
+        rulesVersion: threat.rulesVersion
+    };
+
+    const allowed = allow.match(ip).slice(-1)[0];
+    if (allowed) {
+        return { ...base, action: 'allow', source: 'allowlist', reason: `allowlist ${allowed.cidr}` };
+    }
+    const denied = deny.match(ip).slice(-1)[0];
+    if (denied) {
+        return { ...base, action: 'block', source: 'denylist', reason: `denylist ${denied.cidr}` };
+    }
+
+    let action = policy.levels[threat.level] || 'allow';
+    let reason = `threat level ${threat.level} (score ${threat.score})`;
+    for (const item of threat.breakdown.filter(entry => entry.status === 'triggered')) {
+        const signalAction = policy.signals[item.signal];
+        if (signalAction && ACTIONS.indexOf(signalAction) > ACTIONS.indexOf(action)) {
+            action = signalAction;
+            reason = `signal ${item.signal}: ${item.detail}`;
+        }
+    }
+    if (threat.reasons.length > 0) {
+        reason += ` [${threat.reasons.join(', ')}]`;
+    }
+
+    return { ...base, action, source: 'policy', reason };
+};
+
+// Reusable gate for any Express app: runs only the security extractors (nothing is collected or
+// stored), then allows, rate-limits, challenges or blocks. Every decision is logged with its reason
+// and left on req.enforcement. Options override the ENFORCEMENT_* configuration:
+//   enforce({ mode, allowlist, denylist, policy: { levels, signals, rateLimitBudget }, onChallenge, log })
+const enforce = (options = {}) => {
+    const config = getEnforcementConfig();
+    const mode = options.mode || config.mode;
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown enforcement mode: ${mode}`);
+    }
+
+    const policy = {
+        levels: { ...config.policy.levels, ...(options.policy?.levels || {}) },
+        signals: { ...config.policy.signals, ...(options.policy?.signals || {}) },
+        rateLimitBudget: options.policy?.rateLimitBudget || config.policy.rateLimitBudget
+    };
+    for (const action of [...Object.values(policy.levels), ...Object.values(policy.signals)]) {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown enforcement action: ${action}`);
+        }
+    }
+
+    const lists = {
+        allow: options.allowlist ? buildList(options.allowlist, 'allowlist') : config.allowlist,
+        deny: options.denylist ? buildList(options.denylist, 'denylist') : config.denylist,
+        policy
+    };
+    const limit = rateLimit(policy.rateLimitBudget);
+    const onChallenge = options.onChallenge || issueChallenge;
+    const log = options.log || logDecision;
+
+    return (req, res, next) => {
+        // Sandbox requests carry a fixture identity, not the caller's
+        if (mode === 'off' || req.sandbox) {
+            return next();
+        }
+
+        let decision;
+        try {
+            const ip = getClientIp(req);
+            const security = UserInfoService.extractSecurityInfo(req, ip);
+            decision = { ...decide(ip, security, lists), mode, client: anonymizeIP(ip) };
+            req.enforcement = { ...decision, security };
+        } catch (error) {
+            // Fail open: an enforcement fault should not take the route down
+            console.error('❌ Enforcement check failed:', error.message);
+            return next();
+        }
+
+        log(decision, req);
+
+        if (mode === 'monitor' || decision.action === 'allow') {
+            return next();
+        }
+        if (decision.action === 'rate-limit') {
+            return limit(req, res, next);
+        }
+        if (decision.action === 'challenge') {
+            return onChallenge(req, res, next, decision);
+        }
+
+        return res.status(403).json({
+            success: false,
+            message: 'Request blocked',
+            action: decision.action,
+            reasons: decision.source === 'policy' ? decision.reasons : [decision.reason]
+        });
+    };
+};
+
+module.exports = { enforce };
@@ -0,0 +1,61 @@
+const SandboxService = require('../services/SandboxService');
+const ApiKeyService = require('../services/ApiKeyService');
+const { getBearerToken } = require('./authMiddleware');
+
+// Collection routes are public, so a token only ever switches sandbox mode on: it must be a valid
+// API key that lists the `sandbox` scope itself (the admin token is not a sandbox key). Any other
+// token, including an invalid one, leaves the request a normal visit instead of rejecting it.
+const findSandboxKey = async (req) => {
+    const token = getBearerToken(req);
+    if (!token || !ApiKeyService.parseKey(token)) {
+        return null;
+    }
+
+    try {
+        const result = await ApiKeyService.verifyKey(token);
+        return result.valid && result.auth.scopes.includes('sandbox') ? result.auth : null;
+    } catch (error) {
+        console.error('❌ Error verifying sandbox API key:', error.message);
+        return null;
+    }
+};
+
+// Sandbox mode for collection routes, switched on by SANDBOX_MODE=true or a key with the `sandbox` scope.
+// The caller's address and headers are replaced by a fixture (X-Sandbox-Fixture header or ?fixture=,
+// random otherwise), records go to the sandbox collection and every JSON response is marked synthetic.
+const sandboxMode = () => {
+    return async (req, res, next) => {
+        let source = SandboxService.isEnabledByConfig() ? 'config' : null;
+        if (!source) {
+            const auth = await findSandboxKey(req);
+            if (!auth) {
+                return next();
+            }
+            req.auth = auth;
+            source = 'api-key';
+        }
+
+        const name = req.headers['x-sandbox-fixture'] || req.query.fixture || null;
+        const fixture = SandboxService.pickFixture(name);
+        if (!fixture) {
+            return res.status(400).json({
+                success: false,
+                message: name ? `Unknown sandbox fixture: ${name}` : 'No sandbox fixtures are configured',
+                fixtures: SandboxService.getFixtures().map(item => item.name)
+            });
+        }
+
+        SandboxService.applyFixture(req, fixture);
+        req.sandbox = { synthetic: true, source, fixture: fixture.name };
+
+        res.setHeader('X-Sandbox-Mode', 'synthetic');
+        const json = res.json.bind(res);
+        res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body)
+            ? { ...body, sandbox: req.sandbox }
+            : body);
+
+        next();
+    };
+};
+
+module.exports = { sandboxMode };
@@ -1,47 +1,93 @@
-// Rate limiting middleware to prevent abuse
-const rateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
-    const requests = new Map();
+const ConsentService = require('../services/ConsentService');
+const RateLimiter = require('../services/RateLimiter');
+const { getProfile, resolveProfile } = require('../config/collectionProfiles');
+const { validateBody } = require('./validationMiddleware');
 
-    return (req, res, next) => {
-        const clientIp = req.ip || req.connection.remoteAddress;
-        const now = Date.now();
-        const windowStart = now - windowMs;
-
-        // Clean old entries
-        for (const [ip, timestamps] of requests.entries()) {
-            const validTimestamps = timestamps.filter(timestamp => timestamp > windowStart);
-            if (validTimestamps.length === 0) {
-                requests.delete(ip);
-            } else {
-                requests.set(ip, validTimestamps);
-            }
+// Rate limiting against a named budget (config/rateLimits.js). Several limiters can run on one
+// request; the RateLimit-* headers describe whichever leaves the fewest requests.
+const rateLimit = (budgetName = 'default') => {
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await RateLimiter.consume(budgetName, req);
+        } catch (error) {
+            // Fail open: a store outage should not take the API down with it
+            console.error('❌ Rate limiter unavailable:', error.message);
+            return next();
         }
 
-        // Check current IP
-        const clientRequests = requests.get(clientIp) || [];
-        const recentRequests = clientRequests.filter(timestamp => timestamp > windowStart);
+        const previous = res.locals.rateLimit;
+        if (!previous || result.remaining <= previous.remaining || !result.allowed) {
+            res.locals.rateLimit = result;
+            res.setHeader('RateLimit-Limit', result.limit);
+            res.setHeader('RateLimit-Remaining', result.remaining);
+            res.setHeader('RateLimit-Reset', result.resetSeconds);
+            res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+        }
 
-        if (recentRequests.length >= max) {
+        if (!result.allowed) {
+            res.setHeader('Retry-After', result.resetSeconds);
             return res.status(429).json({
                 success: false,
                 message: 'Too many requests, please try again later',
-                retryAfter: Math.ceil(windowMs / 1000)
+                retryAfter: result.resetSeconds
             });
         }
 
-        // Add current request
-        recentRequests.push(now);
-        requests.set(clientIp, recentRequests);
+        next();
+    };
+};
+
+// Request validation for collection bodies (schemas in config/requestSchemas.js)
+const validateUserInfoRequest = validateBody('userInfo');
+
+// Consent gate: verifies the consent token and attaches the granted purposes to req.consent.
+// mode 'reject' answers 403 when a required purpose is missing; 'downgrade' lets the request
+// through with only the purposes actually granted (nothing is stored without valid consent).
+const requireConsent = ({ purposes = [], mode = 'downgrade' } = {}) => {
+    return async (req, res, next) => {
+        const token = req.headers['x-consent-token'] || req.body?.consentToken;
+        if (req.body && req.body.consentToken) {
+            delete req.body.consentToken;
+        }
+
+        const consent = await ConsentService.resolveConsent(token);
+        const missingPurposes = purposes.filter(purpose => !consent.purposes.includes(purpose));
 
+        if (mode === 'reject' && (!consent.valid || missingPurposes.length > 0)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Consent required',
+                reason: consent.reason || 'Required purposes not granted',
+                requiredPurposes: purposes,
+                missingPurposes
+            });
+        }
+
+        req.consent = {
+            ...consent,
+            downgraded: !consent.valid || missingPurposes.length > 0
+        };
         next();
     };
 };
 
-// Request validation middleware
-const validateUserInfoRequest = (req, res, next) => {
-    // Add any request validation logic here
-    // For now, we'll just pass through
-    next();
+// Collection profile: a fixed profile for the route, otherwise the one assigned to the
+// caller's site key (X-Site-Key header or siteKey query parameter), otherwise the default
+const selectCollectionProfile = (routeProfile = null) => {
+    if (routeProfile && !getProfile(routeProfile)) {
+        throw new Error(`Unknown collection profile: ${routeProfile}`);
+    }
+
+    return (req, res, next) => {
+        const siteKey = req.headers['x-site-key'] || req.query.siteKey || null;
+        try {
+            req.collectionProfile = resolveProfile({ routeProfile, siteKey });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
 };
 
 // Response headers middleware
@@ -53,6 +99,8 @@ const setResponseHeaders = (req, res, next) => {
 
 module.exports = {
     rateLimit,
+    requireConsent,
+    selectCollectionProfile,
     validateUserInfoRequest,
     setResponseHeaders
 };
@@ -0,0 +1,54 @@
+const Ajv = require('ajv');
+const { schemas } = require('../config/requestSchemas');
+
+// Unknown properties are removed everywhere, every error is reported, nothing is coerced
+const ajv = new Ajv({ allErrors: true, removeAdditional: 'all', allowUnionTypes: true });
+const validators = Object.fromEntries(
+    Object.entries(schemas).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+
+// "/browserLocation/latitude" -> "browserLocation.latitude"; required errors point at the missing field
+const toPath = (error) => {
+    const segments = error.instancePath.split('/').filter(Boolean);
+    if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+    }
+    return segments.join('.') || '(body)';
+};
+
+// Validate any value against a named schema (unknown fields are stripped in place).
+// Returns null when valid, otherwise the list of { path, message } errors.
+const validateAgainst = (schemaName, data) => {
+    const validate = validators[schemaName];
+    if (!validate) {
+        throw new Error(`Unknown request schema: ${schemaName}`);
+    }
+
+    return validate(data) ? null : validate.errors.map(error => ({ path: toPath(error), message: error.message }));
+};
+
+// Validate req.body against a named schema, stripping unknown fields in place
+const validateBody = (schemaName) => {
+    if (!validators[schemaName]) {
+        throw new Error(`Unknown request schema: ${schemaName}`);
+    }
+
+    return (req, res, next) => {
+        if (req.body === undefined || req.body === null) {
+            req.body = {};
+        }
+
+        const errors = validateAgainst(schemaName, req.body);
+        if (errors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Request body failed validation',
+                errors
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = { validateAgainst, validateBody };
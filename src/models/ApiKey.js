@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// API keys for the read and admin endpoints. Only a hash of the secret is stored;
+// the full key is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+    keyId: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    secretHash: { type: String, required: true },
+    scopes: [{ type: String }],
+    createdBy: { type: String, default: null },
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null }
+}, {
+    timestamps: true,
+    collection: process.env.API_KEY_COLLECTION_NAME || 'apikeys'
+});
+
+const ApiKeyModel = mongoose.model('ApiKey', apiKeySchema);
+
+// Never return the secret hash
+const PUBLIC_FIELDS = '-secretHash -__v';
+
+class ApiKey {
+    static async create(data) {
+        try {
+            const saved = await new ApiKeyModel(data).save();
+            console.log(`🔑 API key ${saved.keyId} (${saved.name}) created`);
+            return saved.toObject();
+        } catch (error) {
+            console.error('❌ Error creating API key:', error.message);
+            throw error;
+        }
+    }
+
+    // Key with its secret hash, for authentication only
+    static async findForAuthentication(keyId) {
+        try {
+            return await ApiKeyModel.findOne({ keyId }).lean();
+        } catch (error) {
+            console.error('❌ Error fetching API key:', error.message);
+            throw error;
+        }
+    }
+
+    static async list({ includeRevoked = false } = {}) {
+        try {
+            const query = includeRevoked ? {} : { revokedAt: null };
+            return await ApiKeyModel
+                .find(query)
+                .sort({ createdAt: -1 })
+                .select(PUBLIC_FIELDS)
+                .lean();
+        } catch (error) {
+            console.error('❌ Error listing API keys:', error.message);
+            throw error;
+        }
+    }
+
+    // Returns the revoked key, or null when it does not exist or was already revoked
+    static async revoke(keyId) {
+        try {
+            const revoked = await ApiKeyModel.findOneAndUpdate(
+                { keyId, revokedAt: null },
+                { $set: { revokedAt: new Date() } },
+                { new: true }
+            ).select(PUBLIC_FIELDS).lean();
+
+            if (revoked) {
+                console.log(`🔑 API key ${keyId} revoked`);
+            }
+            return revoked;
+        } catch (error) {
+            console.error('❌ Error revoking API key:', error.message);
+            throw error;
+        }
+    }
+
+    // Best-effort usage timestamp; never blocks the request
+    static touch(keyId) {
+        ApiKeyModel.updateOne({ keyId }, { $set: { lastUsedAt: new Date() } })
+            .catch(error => console.error('❌ Error updating API key usage:', error.message));
+    }
+}
+
+module.exports = { ApiKey, ApiKeyModel };
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Append-only audit trail; every entry carries the hash of the one before it
+const auditLogSchema = new mongoose.Schema({
+    seq: { type: Number, required: true, unique: true },
+    type: { type: String, required: true },
+    actor: { type: String, default: null },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    timestamp: { type: Date, required: true },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true }
+}, {
+    collection: process.env.AUDIT_COLLECTION_NAME || 'auditlog',
+    minimize: false
+});
+
+auditLogSchema.index({ type: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+
+// Entries are never modified or removed once written
+const rejectMutation = function () {
+    throw new Error('Audit log entries are append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+    .forEach(operation => auditLogSchema.pre(operation, rejectMutation));
+
+const AuditLogModel = mongoose.model('AuditLog', auditLogSchema);
+
+class AuditLog {
+    // Deterministic hash over the entry content and the previous hash
+    static computeHash(entry) {
+        const content = JSON.stringify({
+            seq: entry.seq,
+            type: entry.type,
+            actor: entry.actor,
+            details: entry.details,
+            timestamp: new Date(entry.timestamp).toISOString(),
+            prevHash: entry.prevHash
+        });
+
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    // Append an entry, retrying when another writer took the same sequence number
+    static async append({ type, actor = null, details = {} }) {
+        for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+            const last = await AuditLogModel.findOne().sort({ seq: -1 }).lean();
+            const entry = {
+                seq: last ? last.seq + 1 : 1,
+                type,
+                actor,
+                // Round-trip so the stored and hashed forms are identical
+                details: JSON.parse(JSON.stringify(details)),
+                timestamp: new Date(),
+                prevHash: last ? last.hash : GENESIS_HASH
+            };
+            entry.hash = this.computeHash(entry);
+
+            try {
+                const saved = await new AuditLogModel(entry).save();
+                return saved.toObject();
+            } catch (error) {
+                if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+                    console.error('❌ Error appending audit entry:', error.message);
+                    throw error;
+                }
+            }
+        }
+    }
+
+    // Newest entries first, filtered by type, actor and time range
+    static async query({ type = null, actor = null, from = null, to = null, limit = 100, skip = 0 } = {}) {
+        try {
+            const query = {};
+            if (type) query.type = type;
+            if (actor) query.actor = actor;
+            if (from || to) {
+                query.timestamp = {};
+                if (from) query.timestamp.$gte = from;
+                if (to) query.timestamp.$lte = to;
+            }
+
+            const [entries, total] = await Promise.all([
+                AuditLogModel.find(query).sort({ seq: -1 }).skip(skip).limit(limit).select('-__v').lean(),
+                AuditLogModel.countDocuments(query)
+            ]);
+
+            return { entries, total };
+        } catch (error) {
+            console.error('❌ Error querying audit log:', error.message);
+            throw error;
+        }
+    }
+
+    // Walk the chain and report the first entry whose hash or link does not match
+    static async verifyChain() {
+        let prevHash = GENESIS_HASH;
+        let checked = 0;
+
+        const cursor = AuditLogModel.find().sort({ seq: 1 }).lean().cursor();
+        for await (const entry of cursor) {
+            if (entry.prevHash !== prevHash || this.computeHash(entry) !== entry.hash) {
+                return { valid: false, checked, brokenAt: entry.seq };
+            }
+            prevHash = entry.hash;
+            checked++;
+        }
+
+        return { valid: true, checked, brokenAt: null };
+    }
+}
+
+module.exports = { AuditLog, AuditLogModel };
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Visitor count per city for /api/user-info/statistics. Cities are encrypted inside the records,
+// so they are counted here when a record is stored instead of by decrypting every record on read.
+// A count holds no personal data: it is not reduced when records are scrubbed, expire or are erased.
+const cityStatisticSchema = new mongoose.Schema({
+    _id: { type: String },   // city name, '' for records without one
+    count: { type: Number, default: 0 }
+}, {
+    collection: process.env.CITY_STATISTICS_COLLECTION_NAME || 'citystatistics',
+    versionKey: false
+});
+
+cityStatisticSchema.index({ count: -1 });
+
+const CityStatisticModel = mongoose.model('CityStatistic', cityStatisticSchema);
+
+class CityStatistic {
+    static async increment(city) {
+        const key = city || '';
+        try {
+            await CityStatisticModel.updateOne({ _id: key }, { $inc: { count: 1 } }, { upsert: true });
+        } catch (error) {
+            // Two instances upserting the same new city: the loser retries as a plain update
+            if (error.code === 11000) {
+                await CityStatisticModel.updateOne({ _id: key }, { $inc: { count: 1 } });
+                return;
+            }
+            console.error('❌ Error counting city:', error.message);
+            throw error;
+        }
+    }
+
+    // Most frequent cities as { _id: city | null, count }
+    static async top(limit = 10) {
+        try {
+            const cities = await CityStatisticModel.find({}).sort({ count: -1 }).limit(limit).lean();
+            return cities.map(({ _id, count }) => ({ _id: _id || null, count }));
+        } catch (error) {
+            console.error('❌ Error fetching city statistics:', error.message);
+            throw error;
+        }
+    }
+
+    // Replace every count, for rebuilding the collection from the stored records
+    static async replaceAll(counts) {
+        try {
+            await CityStatisticModel.deleteMany({});
+            await CityStatisticModel.insertMany([...counts.entries()].map(([city, count]) => ({ _id: city || '', count })));
+        } catch (error) {
+            console.error('❌ Error rebuilding city statistics:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = { CityStatistic, CityStatisticModel };
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of consent grants and withdrawals
+const consentLedgerSchema = new mongoose.Schema({
+    consentId: { type: String, required: true },
+    action: { type: String, enum: ['grant', 'withdraw'], required: true },
+    purposes: [{ type: String }],
+    policyVersion: { type: String, default: null },
+    tokenExpiresAt: { type: Date, default: null },
+    origin: { type: String, default: null },
+    timestamp: { type: Date, default: Date.now, required: true }
+}, {
+    collection: process.env.CONSENT_COLLECTION_NAME || 'consentledger'
+});
+
+consentLedgerSchema.index({ consentId: 1, timestamp: 1 });
+
+const ConsentLedgerModel = mongoose.model('ConsentLedger', consentLedgerSchema);
+
+class ConsentLedger {
+    // Record a grant or withdrawal
+    static async record(entry) {
+        try {
+            const saved = await new ConsentLedgerModel(entry).save();
+            console.log(`📝 Consent ${entry.action} recorded for ${entry.consentId}`);
+            return saved;
+        } catch (error) {
+            console.error('❌ Error recording consent:', error.message);
+            throw error;
+        }
+    }
+
+    // Get every ledger entry for a consent ID, oldest first
+    static async getHistory(consentId) {
+        try {
+            return await ConsentLedgerModel
+                .find({ consentId })
+                .sort({ timestamp: 1 })
+                .lean();
+        } catch (error) {
+            console.error('❌ Error fetching consent history:', error.message);
+            throw error;
+        }
+    }
+
+    // Replay the ledger to get the purposes currently granted
+    static async getCurrentPurposes(consentId) {
+        const history = await this.getHistory(consentId);
+        if (history.length === 0) {
+            return null;
+        }
+
+        let purposes = [];
+        for (const entry of history) {
+            if (entry.action === 'grant') {
+                purposes = [...entry.purposes];
+            } else if (entry.purposes.length === 0) {
+                purposes = [];
+            } else {
+                purposes = purposes.filter(purpose => !entry.purposes.includes(purpose));
+            }
+        }
+
+        return purposes;
+    }
+}
+
+module.exports = { ConsentLedger, ConsentLedgerModel };
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Shared rate limit state for multi-instance deployments: one counter per key and window,
+// plus flags (e.g. high-threat clients). Documents expire through the TTL index.
+const rateLimitCounterSchema = new mongoose.Schema({
+    _id: { type: String },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+}, {
+    collection: process.env.RATE_LIMIT_COLLECTION_NAME || 'ratelimits',
+    versionKey: false
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounterModel = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+class RateLimitCounter {
+    static get storeName() {
+        return 'mongo';
+    }
+
+    // Add one to the counter for a window and return the new count
+    static async increment(key, windowStart, windowMs) {
+        const update = {
+            $inc: { count: 1 },
+            $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) }
+        };
+
+        try {
+            const counter = await RateLimitCounterModel.findOneAndUpdate(
+                { _id: `${key}:${windowStart}` }, update, { upsert: true, new: true }
+            ).lean();
+            return counter.count;
+        } catch (error) {
+            // Two instances upserting the same new counter: the loser retries as a plain update
+            if (error.code === 11000) {
+                const counter = await RateLimitCounterModel.findOneAndUpdate(
+                    { _id: `${key}:${windowStart}` }, update, { new: true }
+                ).lean();
+                return counter.count;
+            }
+            throw error;
+        }
+    }
+
+    static async get(key, windowStart) {
+        const counter = await RateLimitCounterModel.findById(`${key}:${windowStart}`).lean();
+        return counter ? counter.count : 0;
+    }
+
+    // Set or extend a flag; returns true when it was not already active. The previous document
+    // comes from the same atomic update, so only one instance sees a new flag.
+    static async flag(key, ttlMs) {
+        const now = new Date();
+        const previous = await RateLimitCounterModel.findOneAndUpdate(
+            { _id: `flag:${key}` },
+            { $set: { expiresAt: new Date(now.getTime() + ttlMs) } },
+            { upsert: true, new: false }
+        ).lean();
+        return !previous || previous.expiresAt <= now;
+    }
+
+    static async isFlagged(key) {
+        const flag = await RateLimitCounterModel.findById(`flag:${key}`).lean();
+        return !!flag && flag.expiresAt > new Date();
+    }
+}
+
+module.exports = { RateLimitCounter, RateLimitCounterModel };
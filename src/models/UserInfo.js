@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { getRetentionPolicy } = require('../config/retention');
+const { normalizeIP } = require('../utils/ip');
+const PseudonymService = require('../services/PseudonymService');
+const EncryptionService = require('../services/EncryptionService');
+const WebhookService = require('../services/WebhookService');
+const { CityStatistic } = require('./CityStatistic');
 
 // Mongoose schema for user info
 const userInfoSchema = new mongoose.Schema({
@@ -20,12 +26,19 @@ const userInfoSchema = new mongoose.Schema({
         referer: { type: String, default: null },
         xForwardedFor: { type: String, default: null },
         xRealIp: { type: String, default: null },
+        ipResolution: {
+            source: { type: String, default: null }, // socket, x-forwarded-for or forwarded
+            trustedHops: { type: Number, default: 0 },
+            mismatch: { type: Boolean, default: false },
+            reasons: [{ type: String }]
+        },
         xForwardedProto: { type: String, default: null },
         xForwardedHost: { type: String, default: null },
         authorization: { type: String, default: null },
         cookie: { type: String, default: null },
         cacheControl: { type: String, default: null },
         dnt: { type: String, default: null },
+        secGpc: { type: String, default: null },
         upgradeInsecureRequests: { type: String, default: null },
         secFetchSite: { type: String, default: null },
         secFetchMode: { type: String, default: null },
@@ -124,24 +137,60 @@ const userInfoSchema = new mongoose.Schema({
         isVPN: {
             likely: { type: Boolean, default: false },
             indicators: [{ type: String }],
-            confidence: { type: Number, default: 0 }
+            confidence: { type: Number, default: 0 },
+            ipCategories: [{ type: String }],
+            provider: { type: String, default: null }
         },
         isTor: {
             isTor: { type: Boolean, default: false },
             confidence: { type: Number, default: 0 },
-            note: { type: String, default: null }
+            note: { type: String, default: null },
+            listVersion: { type: String, default: null },
+            listAgeHours: { type: Number, default: null }
         },
         isBot: {
             isBot: { type: Boolean, default: false },
             matchedPatterns: [{ type: String }],
             confidence: { type: Number, default: 0 },
-            type: { type: String, default: null }
+            type: { type: String, default: null },
+            category: { type: String, default: null },
+            severity: { type: String, default: null },
+            verifiedCrawler: {
+                crawler: { type: String, default: null },
+                verified: { type: Boolean, default: null },
+                cidr: { type: String, default: null },
+                listVersion: { type: String, default: null }
+            },
+            // One entry per matching rule, with why it matched, for tuning false positives
+            matches: [{
+                _id: false,
+                rule: { type: String },
+                category: { type: String },
+                severity: { type: String },
+                label: { type: String, default: null },
+                matched: { type: String },
+                explanation: { type: String }
+            }],
+            rulesVersion: { type: String, default: null }
         },
         threatLevel: {
             score: { type: Number, default: 0 },
             level: { type: String, default: 'Low' },
             reasons: [{ type: String }],
-            recommendation: { type: String, default: null }
+            recommendation: { type: String, default: null },
+            // Per-signal points under the rules version that scored the record
+            breakdown: [{
+                _id: false,
+                signal: { type: String },
+                status: { type: String },
+                points: { type: Number, default: 0 },
+                value: { type: mongoose.Schema.Types.Mixed, default: null },
+                detail: { type: String, default: null }
+            }],
+            rulesVersion: { type: String, default: null },
+            site: { type: String, default: null },
+            // Facts the score was computed from, so it can be replayed under other rules
+            inputs: { type: mongoose.Schema.Types.Mixed, default: null }
         },
         ssl: {
             protocol: { type: String, default: null },
@@ -157,8 +206,10 @@ const userInfoSchema = new mongoose.Schema({
         }
     },
     tracking: {
+        source: { type: String, default: 'user-info' }, // user-info, live-track or stealth-track
+        trackingId: { type: String, default: null },
         sessionId: { type: String, default: null },
-        visitCount: { type: Number, default: 1 },
+        visitCount: { type: Number, default: null },
         firstSeen: { type: Date, default: null },
         lastSeen: { type: Date, default: null },
         referrer: { type: String, default: null },
@@ -172,6 +223,30 @@ const userInfoSchema = new mongoose.Schema({
             interactionScore: { type: Number, default: 0 },
             behaviorFlags: [{ type: String }]
         }
+    },
+    // Consent the record was collected under
+    consent: {
+        consentId: { type: String, default: null },
+        purposes: [{ type: String }]
+    },
+    // Set when the record was anonymized by an erasure request
+    erasedAt: { type: Date },
+    // Envelope encryption of sensitive fields: a per-record data key wrapped by the master key,
+    // one ciphertext per retention group
+    encryption: {
+        keyId: { type: String },
+        wrappedKey: { type: String },
+        groups: {
+            rawIp: { type: String },
+            headers: { type: String },
+            preciseLocation: { type: String },
+            geolocation: { type: String }
+        }
+    },
+    // Retention bookkeeping: whole-record expiry and field groups already scrubbed
+    retention: {
+        expiresAt: { type: Date },
+        scrubbed: [{ type: String }]
     }
 }, {
     timestamps: true, // Adds createdAt and updatedAt
@@ -180,15 +255,22 @@ const userInfoSchema = new mongoose.Schema({
 
 // Create indexes for better query performance
 userInfoSchema.index({ 'network.ip': 1 });
+userInfoSchema.index({ 'network.ipResolution.mismatch': 1 });
 userInfoSchema.index({ timestamp: -1 });
 userInfoSchema.index({ 'geolocation.country': 1 });
 userInfoSchema.index({ 'browser.name': 1 });
 userInfoSchema.index({ 'fingerprint.hash': 1 });
 userInfoSchema.index({ 'tracking.sessionId': 1 });
 userInfoSchema.index({ 'security.threatLevel.level': 1 });
+userInfoSchema.index({ 'consent.consentId': 1 });
+userInfoSchema.index({ createdAt: 1 });
+// TTL index: documents are removed once retention.expiresAt has passed
+userInfoSchema.index({ 'retention.expiresAt': 1 }, { expireAfterSeconds: 0 });
 
 // Create the model
 const UserInfoModel = mongoose.model('UserInfo', userInfoSchema);
+// Synthetic records from sandbox mode never mix with real visitor data
+const SandboxUserInfoModel = mongoose.model('SandboxUserInfo', userInfoSchema, process.env.SANDBOX_COLLECTION_NAME || 'userinfo_sandbox');
 
 class UserInfo {
     constructor(data) {
@@ -216,12 +298,14 @@ class UserInfo {
                 referer: data.network?.referer || null,
                 xForwardedFor: data.network?.xForwardedFor || null,
                 xRealIp: data.network?.xRealIp || null,
+                ipResolution: data.network?.ipResolution || null,
                 xForwardedProto: data.network?.xForwardedProto || null,
                 xForwardedHost: data.network?.xForwardedHost || null,
                 authorization: data.network?.authorization || null,
                 cookie: data.network?.cookie || null,
                 cacheControl: data.network?.cacheControl || null,
                 dnt: data.network?.dnt || null,
+                secGpc: data.network?.secGpc || null,
                 upgradeInsecureRequests: data.network?.upgradeInsecureRequests || null,
                 secFetchSite: data.network?.secFetchSite || null,
                 secFetchMode: data.network?.secFetchMode || null,
@@ -294,20 +378,63 @@ class UserInfo {
             },
             fingerprint: data.fingerprint || null,
             security: data.security || null,
-            tracking: data.tracking || null
+            tracking: data.tracking || null,
+            consent: data.consent || null
         };
 
         return validatedData;
     }
 
-    // Save data to MongoDB
-    static async saveToDatabase(data) {
+    // Save data to MongoDB (sandbox records go to the sandbox collection).
+    // `subjectIp` is the full client address (collectUserInfo's userData.subjectIp); the stored
+    // pseudonym is keyed on it so lookups, visit counts and erasure match one address, not its network.
+    static async saveToDatabase(data, { sandbox = false, subjectIp = null } = {}) {
         try {
             const validatedData = this.validateData(data);
-            const userInfo = new UserInfoModel(validatedData);
+            const ip = normalizeIP(subjectIp) || validatedData.network.ip;
+            const city = validatedData.geolocation.city;
+
+            // Sensitive fields go into the encrypted envelope (the anonymized IP among them),
+            // the searchable IP stays as a pseudonym
+            const { encryption } = EncryptionService.encryptRecord(validatedData);
+            if (encryption) {
+                validatedData.encryption = encryption;
+            }
+
+            // Stored identifiers are keyed pseudonyms, never the values themselves
+            validatedData.network.ip = PseudonymService.pseudonymize(ip);
+            if (validatedData.fingerprint?.hash) {
+                validatedData.fingerprint = {
+                    ...validatedData.fingerprint,
+                    hash: PseudonymService.pseudonymize(validatedData.fingerprint.hash)
+                };
+            }
+
+            const recordDays = getRetentionPolicy().record.days;
+            if (recordDays !== null) {
+                validatedData.retention = {
+                    expiresAt: new Date(Date.now() + recordDays * 24 * 60 * 60 * 1000)
+                };
+            }
+            const Model = sandbox ? SandboxUserInfoModel : UserInfoModel;
+            const userInfo = new Model(validatedData);
             const savedData = await userInfo.save();
             
-            console.log(`💾 User info saved to database with ID: ${savedData._id}`);
+            console.log(`💾 ${sandbox ? 'Sandbox record' : 'User info'} saved to database with ID: ${savedData._id}`);
+
+            // Subscribers get the record ID and the stored pseudonym, never the collected fields
+            if (!sandbox) {
+                CityStatistic.increment(city).catch(() => {});
+                WebhookService.emit('record.created', {
+                    recordId: String(savedData._id),
+                    timestamp: savedData.timestamp,
+                    source: savedData.tracking?.source || 'user-info',
+                    ip: savedData.network?.ip || null,
+                    threatLevel: savedData.security?.threatLevel
+                        ? { score: savedData.security.threatLevel.score, level: savedData.security.threatLevel.level }
+                        : null
+                });
+            }
             return savedData;
         } catch (error) {
             console.error('❌ Error saving to database:', error.message);
@@ -316,7 +443,8 @@ class UserInfo {
     }
 
     // Get all user info records
-    static async getAllRecords(limit = 100, skip = 0) {
+    // Encrypted fields are only restored when `decrypt` is set
+    static async getAllRecords(limit = 100, skip = 0, { decrypt = false } = {}) {
         try {
             const records = await UserInfoModel
                 .find({})
@@ -325,7 +453,7 @@ class UserInfo {
                 .skip(skip)
                 .lean();
             
-            return records;
+            return EncryptionService.prepareRecords(records, decrypt);
         } catch (error) {
             console.error('❌ Error fetching records:', error.message);
             throw error;
@@ -333,23 +461,234 @@ class UserInfo {
     }
 
     // Get records by IP
-    static async getRecordsByIP(ip, limit = 50) {
+    static async getRecordsByIP(ip, limit = 50, { decrypt = false } = {}) {
+        try {
+            return await this.findBySubject({ ip }, limit, { decrypt });
+        } catch (error) {
+            console.error('❌ Error fetching records by IP:', error.message);
+            throw error;
+        }
+    }
+
+    // Stored visits from an address: { count, firstSeen } (firstSeen null when there are none),
+    // or null when the database is not connected
+    static async getVisitHistory(ip) {
+        if (mongoose.connection.readyState !== 1) {
+            return null;
+        }
+
+        try {
+            const query = this.buildSubjectQuery({ ip });
+            if (!query) {
+                return { count: 0, firstSeen: null };
+            }
+
+            const [history] = await UserInfoModel.aggregate([
+                { $match: query },
+                { $group: { _id: null, count: { $sum: 1 }, firstSeen: { $min: '$timestamp' } } }
+            ]).option({ maxTimeMS: 2000 });
+
+            return history ? { count: history.count, firstSeen: history.firstSeen } : { count: 0, firstSeen: null };
+        } catch (error) {
+            console.error('❌ Error fetching visit history:', error.message);
+            return null;
+        }
+    }
+
+    // Build a query matching any of the subject's identifiers
+    // (ip, pseudonymousId = session ID or fingerprint hash, consentId).
+    // Returns null when identifiers were given but none of them can match a stored record.
+    static buildSubjectQuery(identifiers = {}) {
+        const conditions = [];
+
+        if (identifiers.ip) {
+            // Stored IPs are pseudonyms of the full address; also match the raw form of records
+            // written before pseudonymization. Anonymized forms are never matched: they stand for
+            // a whole network, not this subject.
+            const address = normalizeIP(identifiers.ip);
+            const candidates = [...new Set([
+                address,
+                ...PseudonymService.lookupCandidates(address)
+            ])].filter(Boolean);
+            if (candidates.length > 0) {
+                conditions.push({ 'network.ip': { $in: candidates } });
+            }
+        }
+        if (identifiers.pseudonymousId) {
+            conditions.push({ 'tracking.sessionId': identifiers.pseudonymousId });
+            conditions.push({
+                'fingerprint.hash': {
+                    $in: [identifiers.pseudonymousId, ...PseudonymService.lookupCandidates(identifiers.pseudonymousId)]
+                }
+            });
+        }
+        if (identifiers.consentId) {
+            conditions.push({ 'consent.consentId': identifiers.consentId });
+        }
+
+        if (Object.values(identifiers).every(value => !value)) {
+            throw new Error('At least one subject identifier is required');
+        }
+        if (conditions.length === 0) {
+            return null;
+        }
+
+        return conditions.length === 1 ? conditions[0] : { $or: conditions };
+    }
+
+    // Get every record tied to a subject (no limit returns all of them)
+    static async findBySubject(identifiers, limit = 0, { decrypt = false } = {}) {
         try {
+            const query = this.buildSubjectQuery(identifiers);
+            if (!query) {
+                return [];
+            }
+
             const records = await UserInfoModel
-                .find({ 'network.ip': ip })
+                .find(query)
                 .sort({ timestamp: -1 })
                 .limit(limit)
+                .select('-__v')
                 .lean();
-            
-            return records;
+
+            return EncryptionService.prepareRecords(records, decrypt);
         } catch (error) {
-            console.error('❌ Error fetching records by IP:', error.message);
+            console.error('❌ Error fetching records by subject:', error.message);
+            throw error;
+        }
+    }
+
+    // Remove records outright
+    static async deleteByIds(ids) {
+        try {
+            const result = await UserInfoModel.deleteMany({ _id: { $in: ids } });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('❌ Error deleting records:', error.message);
+            throw error;
+        }
+    }
+
+    // Irreversibly strip everything that identifies the subject, keeping only
+    // coarse fields that feed the aggregate statistics
+    static async anonymizeByIds(ids) {
+        try {
+            const result = await UserInfoModel.updateMany(
+                { _id: { $in: ids } },
+                {
+                    $unset: {
+                        network: 1,
+                        fingerprint: 1,
+                        consent: 1,
+                        encryption: 1,
+                        'device.browserLocation': 1,
+                        'geolocation.region': 1,
+                        'geolocation.city': 1,
+                        'geolocation.latitude': 1,
+                        'geolocation.longitude': 1,
+                        'geolocation.isp': 1,
+                        'geolocation.organization': 1,
+                        'tracking.trackingId': 1,
+                        'tracking.sessionId': 1,
+                        'tracking.referrer': 1,
+                        'tracking.userBehavior': 1,
+                        'security.isVPN.indicators': 1,
+                        'security.isBot.matchedPatterns': 1,
+                        'security.isBot.matches': 1
+                    },
+                    $set: { erasedAt: new Date() }
+                }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error('❌ Error anonymizing records:', error.message);
+            throw error;
+        }
+    }
+
+    // Null out a retention group's fields on records created before the cutoff,
+    // destroying the group's encrypted envelope along with them
+    static async scrubExpiredFields(group, fields, cutoff) {
+        try {
+            const nulled = Object.fromEntries(fields.map(field => [field, null]));
+            const result = await UserInfoModel.updateMany(
+                { createdAt: { $lt: cutoff }, 'retention.scrubbed': { $ne: group } },
+                {
+                    $set: nulled,
+                    $unset: { [`encryption.groups.${group}`]: 1 },
+                    $addToSet: { 'retention.scrubbed': group }
+                }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            console.error(`❌ Error scrubbing ${group} fields:`, error.message);
+            throw error;
+        }
+    }
+
+    // Null pseudonyms made with keys that are no longer in the lookup set,
+    // so they cannot be linked to new records after the grace period
+    static async dropStalePseudonyms(lookupVersions) {
+        try {
+            const pseudonymShape = /^[A-Za-z0-9_-]+:[0-9a-f]{64}$/;
+            const current = new RegExp(`^(${lookupVersions.map(version => version.replace(/[^A-Za-z0-9_-]/g, '')).join('|')}):`);
+            let modified = 0;
+
+            for (const field of ['network.ip', 'fingerprint.hash']) {
+                const result = await UserInfoModel.updateMany(
+                    { $and: [{ [field]: pseudonymShape }, { [field]: { $not: current } }] },
+                    { $set: { [field]: null } }
+                );
+                modified += result.modifiedCount;
+            }
+
+            return modified;
+        } catch (error) {
+            console.error('❌ Error dropping stale pseudonyms:', error.message);
+            throw error;
+        }
+    }
+
+    // Stored field paths grouped by their top-level field group
+    static getFieldGroups() {
+        const groups = {};
+
+        UserInfoModel.schema.eachPath(path => {
+            const [group] = path.split('.');
+            if (path === group || ['_id', '__v', 'createdAt', 'updatedAt'].includes(group)) {
+                return;
+            }
+            (groups[group] = groups[group] || []).push(path);
+        });
+
+        return groups;
+    }
+
+    // Newest records' security blocks (no identifying fields), for replaying threat scores
+    static async getThreatSnapshots({ limit = 500, from = null, to = null } = {}) {
+        try {
+            const query = { security: { $ne: null } };
+            if (from || to) {
+                query.timestamp = {};
+                if (from) query.timestamp.$gte = from;
+                if (to) query.timestamp.$lte = to;
+            }
+
+            return await UserInfoModel
+                .find(query)
+                .sort({ timestamp: -1 })
+                .limit(limit)
+                .select('timestamp security network.ipResolution')
+                .lean();
+        } catch (error) {
+            console.error('❌ Error fetching threat snapshots:', error.message);
             throw error;
         }
     }
 
     // Get statistics
-    static async getStatistics() {
+    // City-level breakdowns need the encrypted geolocation and are only included when `decrypt` is set
+    static async getStatistics({ decrypt = false } = {}) {
         try {
             const totalRecords = await UserInfoModel.countDocuments();
             const uniqueIPs = await UserInfoModel.distinct('network.ip');
@@ -364,18 +703,44 @@ class UserInfo {
                 { $limit: 10 }
             ]);
 
-            return {
+            const stats = {
                 totalRecords,
                 uniqueIPs: uniqueIPs.length,
                 topCountries,
                 topBrowsers
             };
+
+            if (decrypt) {
+                stats.topCities = await this.getTopCities();
+            }
+
+            return stats;
         } catch (error) {
             console.error('❌ Error fetching statistics:', error.message);
             throw error;
         }
     }
 
+    // Cities are encrypted at rest, so they come from the counters kept when records are stored
+    static async getTopCities(limit = 10) {
+        return CityStatistic.top(limit);
+    }
+
+    // Recount the city counters from the stored records (scripts/rebuild-city-statistics.js).
+    // Decrypts every record, so it is a one-off for records stored before the counters existed.
+    static async rebuildCityStatistics() {
+        const counts = new Map();
+        const cursor = UserInfoModel.find({}).select('geolocation.city encryption').lean().cursor();
+
+        for await (const record of cursor) {
+            const city = EncryptionService.decryptRecord(record).geolocation?.city || null;
+            counts.set(city, (counts.get(city) || 0) + 1);
+        }
+
+        await CityStatistic.replaceAll(counts);
+        return counts.size;
+    }
+
     // Convert to JSON format for response
     toJSON() {
         return {
@@ -402,4 +767,4 @@ class UserInfo {
     }
 }
 
-module.exports = { UserInfo, UserInfoModel };
+module.exports = { UserInfo, UserInfoModel, SandboxUserInfoModel };
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+// One document per event per endpoint. Failed attempts stay `pending` with a later nextAttemptAt;
+// deliveries that run out of attempts become `dead` and form the dead-letter store.
+const webhookDeliverySchema = new mongoose.Schema({
+    deliveryId: { type: String, required: true, unique: true },
+    endpointId: { type: String, required: true },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    lastStatusCode: { type: Number, default: null },
+    deliveredAt: { type: Date, default: null },
+    deadLetteredAt: { type: Date, default: null },
+    history: [{
+        _id: false,
+        attempt: { type: Number },
+        at: { type: Date },
+        statusCode: { type: Number, default: null },
+        durationMs: { type: Number, default: null },
+        error: { type: String, default: null },
+        response: { type: String, default: null }
+    }],
+    expiresAt: { type: Date, default: null }
+}, {
+    timestamps: true,
+    collection: process.env.WEBHOOK_DELIVERY_COLLECTION_NAME || 'webhookdeliveries'
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ event: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookDeliveryModel = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+class WebhookDelivery {
+    static get statuses() {
+        return DELIVERY_STATUSES;
+    }
+
+    static async createMany(deliveries) {
+        try {
+            return await WebhookDeliveryModel.insertMany(deliveries);
+        } catch (error) {
+            console.error('❌ Error queueing webhook deliveries:', error.message);
+            throw error;
+        }
+    }
+
+    // Take the next due delivery (or one whose lock expired) so only one worker sends it
+    static async claimNext(lockMs, now = new Date()) {
+        try {
+            return await WebhookDeliveryModel.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'pending', nextAttemptAt: { $lte: now } },
+                        { status: 'delivering', lockedUntil: { $lte: now } }
+                    ]
+                },
+                { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + lockMs) } },
+                { new: true, sort: { nextAttemptAt: 1 } }
+            ).lean();
+        } catch (error) {
+            console.error('❌ Error claiming webhook delivery:', error.message);
+            throw error;
+        }
+    }
+
+    // Record an attempt and move the delivery to its next status
+    static async recordAttempt(deliveryId, attempt, { status, nextAttemptAt = null, statusCode = null, error = null }) {
+        const now = new Date();
+        const update = {
+            $set: {
+                status,
+                attempts: attempt.attempt,
+                lockedUntil: null,
+                lastStatusCode: statusCode,
+                lastError: error
+            },
+            $push: { history: attempt }
+        };
+        if (nextAttemptAt) update.$set.nextAttemptAt = nextAttemptAt;
+        if (status === 'delivered') update.$set.deliveredAt = now;
+        if (status === 'dead') update.$set.deadLetteredAt = now;
+
+        try {
+            return await WebhookDeliveryModel.findOneAndUpdate({ deliveryId }, update, { new: true }).lean();
+        } catch (updateError) {
+            console.error('❌ Error recording webhook attempt:', updateError.message);
+            throw updateError;
+        }
+    }
+
+    // Delivery log: ?endpointId=&event=&status=&limit=&skip=
+    static async query({ endpointId = null, event = null, status = null, limit = 100, skip = 0 } = {}) {
+        const query = {};
+        if (endpointId) query.endpointId = endpointId;
+        if (event) query.event = event;
+        if (status) query.status = status;
+
+        try {
+            const [deliveries, total] = await Promise.all([
+                WebhookDeliveryModel.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).select('-__v').lean(),
+                WebhookDeliveryModel.countDocuments(query)
+            ]);
+            return { deliveries, total };
+        } catch (error) {
+            console.error('❌ Error querying webhook deliveries:', error.message);
+            throw error;
+        }
+    }
+
+    // Put a dead (or delivered) delivery back in the queue with a fresh attempt budget
+    static async requeue(deliveryId) {
+        try {
+            return await WebhookDeliveryModel.findOneAndUpdate(
+                { deliveryId, status: { $in: ['dead', 'delivered'] } },
+                {
+                    $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedUntil: null, deadLetteredAt: null }
+                },
+                { new: true }
+            ).select('-__v').lean();
+        } catch (error) {
+            console.error('❌ Error requeueing webhook delivery:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = { WebhookDelivery, WebhookDeliveryModel };
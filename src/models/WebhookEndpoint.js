@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Registered webhook receivers. The signing secret has to be kept to sign deliveries, so it is
+// excluded from every query by default and only returned once, when the endpoint is created.
+const webhookEndpointSchema = new mongoose.Schema({
+    endpointId: { type: String, required: true, unique: true },
+    url: { type: String, required: true },
+    description: { type: String, default: null },
+    events: [{ type: String }],
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: null },
+    disabledAt: { type: Date, default: null }
+}, {
+    timestamps: true,
+    collection: process.env.WEBHOOK_ENDPOINT_COLLECTION_NAME || 'webhookendpoints'
+});
+
+webhookEndpointSchema.index({ active: 1, events: 1 });
+
+const WebhookEndpointModel = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+class WebhookEndpoint {
+    static async create(data) {
+        try {
+            const saved = await new WebhookEndpointModel(data).save();
+            console.log(`🪝 Webhook endpoint ${saved.endpointId} registered for ${saved.events.join(', ')}`);
+            return saved.toObject();
+        } catch (error) {
+            console.error('❌ Error registering webhook endpoint:', error.message);
+            throw error;
+        }
+    }
+
+    static async list({ includeDisabled = false } = {}) {
+        try {
+            const query = includeDisabled ? {} : { active: true };
+            return await WebhookEndpointModel.find(query).sort({ createdAt: -1 }).select('-__v').lean();
+        } catch (error) {
+            console.error('❌ Error listing webhook endpoints:', error.message);
+            throw error;
+        }
+    }
+
+    static async findById(endpointId) {
+        try {
+            return await WebhookEndpointModel.findOne({ endpointId }).select('-__v').lean();
+        } catch (error) {
+            console.error('❌ Error fetching webhook endpoint:', error.message);
+            throw error;
+        }
+    }
+
+    // Endpoint with its secret, for signing only
+    static async findForSigning(endpointId) {
+        try {
+            return await WebhookEndpointModel.findOne({ endpointId }).select('+secret').lean();
+        } catch (error) {
+            console.error('❌ Error fetching webhook endpoint:', error.message);
+            throw error;
+        }
+    }
+
+    // Active endpoints subscribed to an event
+    static async findSubscribers(event) {
+        try {
+            return await WebhookEndpointModel.find({ active: true, events: event }).select('endpointId').lean();
+        } catch (error) {
+            console.error('❌ Error fetching webhook subscribers:', error.message);
+            throw error;
+        }
+    }
+
+    // Returns the disabled endpoint, or null when it does not exist or was already disabled
+    static async disable(endpointId) {
+        try {
+            const disabled = await WebhookEndpointModel.findOneAndUpdate(
+                { endpointId, active: true },
+                { $set: { active: false, disabledAt: new Date() } },
+                { new: true }
+            ).select('-__v').lean();
+
+            if (disabled) {
+                console.log(`🪝 Webhook endpoint ${endpointId} disabled`);
+            }
+            return disabled;
+        } catch (error) {
+            console.error('❌ Error disabling webhook endpoint:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = { WebhookEndpoint, WebhookEndpointModel };
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const ApiKeyController = require('../controllers/ApiKeyController');
+const AuditController = require('../controllers/AuditController');
+const ThreatRulesController = require('../controllers/ThreatRulesController');
+const WebhookController = require('../controllers/WebhookController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const { rateLimit } = require('../middleware/userInfoMiddleware');
+
+// API key management (bootstrap the first key with ADMIN_API_TOKEN)
+router.use('/keys', authenticate({ scopes: ['admin:keys'] }), rateLimit('admin'));
+router.get('/keys/scopes', ApiKeyController.listScopes);
+router.get('/keys', ApiKeyController.list);
+router.post('/keys', validateBody('apiKeyCreate'), ApiKeyController.create);
+router.delete('/keys/:keyId', ApiKeyController.revoke);
+
+// Access audit log review
+router.get('/audit', authenticate({ scopes: ['audit:read'] }), rateLimit('admin'), AuditController.query);
+router.get('/audit/verify', authenticate({ scopes: ['audit:read'] }), rateLimit('admin'), AuditController.verify);
+
+// Threat scoring rules: inspect the active set, replay stored records under a candidate
+router.get('/threat-rules', authenticate({ scopes: ['threat:rules'] }), rateLimit('admin'), ThreatRulesController.getActive);
+router.post('/threat-rules/dry-run', authenticate({ scopes: ['threat:rules'] }), rateLimit('admin'), validateBody('threatRulesDryRun'), ThreatRulesController.dryRun);
+
+// Outbound webhooks: endpoints, test sends, delivery log and dead-letter redelivery
+router.use('/webhooks', authenticate({ scopes: ['webhooks:manage'] }), rateLimit('admin'));
+router.get('/webhooks/events', WebhookController.listEventTypes);
+router.get('/webhooks/deliveries', WebhookController.deliveries);
+router.post('/webhooks/deliveries/:deliveryId/redeliver', WebhookController.redeliver);
+router.get('/webhooks', WebhookController.list);
+router.post('/webhooks', validateBody('webhookCreate'), WebhookController.create);
+router.delete('/webhooks/:endpointId', WebhookController.disable);
+router.post('/webhooks/:endpointId/test', WebhookController.test);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const PrivacyController = require('../controllers/PrivacyController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const { rateLimit } = require('../middleware/userInfoMiddleware');
+
+// Data subject requests (GDPR / CCPA), answered by operators holding a scoped API key
+router.post('/subject-access', authenticate({ scopes: ['privacy:export'] }), rateLimit('admin'), validateBody('subjectRequest'), PrivacyController.subjectAccess);
+router.post('/erasure', authenticate({ scopes: ['admin:erase'] }), rateLimit('admin'), validateBody('subjectRequest'), PrivacyController.erasure);
+
+// Active data retention policy (public, read-only)
+router.get('/retention', PrivacyController.getRetentionPolicy);
+
+// What is collected, why, for how long and who receives it (public, generated from live configuration)
+router.get('/disclosure', PrivacyController.getDisclosure);
+router.get('/disclosure.html', PrivacyController.getDisclosureHtml);
+
+module.exports = router;
@@ -1,31 +1,66 @@
 const express = require('express');
 const router = express.Router();
 const UserInfoController = require('../controllers/UserInfoController');
-const { rateLimit, validateUserInfoRequest, setResponseHeaders } = require('../middleware/userInfoMiddleware');
+const ConsentController = require('../controllers/ConsentController');
+const ChallengeController = require('../controllers/ChallengeController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { sandboxMode } = require('../middleware/sandboxMiddleware');
+const { enforce } = require('../middleware/enforcementMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const {
+    rateLimit,
+    requireConsent,
+    selectCollectionProfile,
+    validateUserInfoRequest,
+    setResponseHeaders
+} = require('../middleware/userInfoMiddleware');
 
 // Apply middleware to all routes
 router.use(setResponseHeaders);
-router.use(rateLimit(15 * 60 * 1000, 100)); // 100 requests per 15 minutes
+// Every /api request counts against the default budget; routes below add their own budgets
+// (see config/rateLimits.js, overridable with RATE_LIMITS)
+router.use(rateLimit());
+
+// Consent management (tokens are sent back as X-Consent-Token on collection requests)
+router.post('/consent', rateLimit('consent'), validateBody('consentGrant'), ConsentController.grant);
+router.post('/consent/withdraw', rateLimit('consent'), validateBody('consentWithdraw'), ConsentController.withdraw);
+router.get('/consent/status', ConsentController.getStatus);
+
+// Proof-of-work challenges (solved passes are sent back as X-Challenge-Pass and lower the threat score)
+router.get('/challenge', rateLimit('challenge'), ChallengeController.issue);
+router.post('/challenge/verify', rateLimit('challenge'), validateBody('challengeVerify'), ChallengeController.verify);
+
+// Sandbox fixture catalogue (collection routes below run in sandbox mode when SANDBOX_MODE=true
+// or the caller presents a sandbox-scoped API key)
+router.get('/sandbox/fixtures', UserInfoController.getSandboxFixtures);
+
+// Collection routes pass through the enforcement gate (ENFORCEMENT_MODE, monitor by default), which
+// allows, rate-limits, challenges or blocks on the request's threat assessment and IP lists. It runs
+// after body validation, so the assessment (reused by the controller) only sees the stripped body.
+
+// Collection routes use the site key's profile (or the default); pass a profile name to
+// selectCollectionProfile() to pin a route to one, e.g. selectCollectionProfile('security-only')
 
 // Main route for collecting user information
 // This is the single endpoint your frontend will hit
-router.get('/user-info', validateUserInfoRequest, UserInfoController.getUserInfo);
-router.post('/user-info', validateUserInfoRequest, UserInfoController.getUserInfo);
+router.get('/user-info', rateLimit('collection'), sandboxMode(), requireConsent(), selectCollectionProfile(), validateUserInfoRequest, enforce(), UserInfoController.getUserInfo);
+router.post('/user-info', rateLimit('collection'), sandboxMode(), requireConsent(), selectCollectionProfile(), validateUserInfoRequest, enforce(), UserInfoController.getUserInfo);
 
 // Alternative summary endpoint (lighter version)
-router.get('/user-info/summary', UserInfoController.getUserInfoSummary);
-router.post('/user-info/summary', UserInfoController.getUserInfoSummary);
+router.get('/user-info/summary', rateLimit('collection'), sandboxMode(), requireConsent(), selectCollectionProfile(), validateUserInfoRequest, enforce(), UserInfoController.getUserInfoSummary);
+router.post('/user-info/summary', rateLimit('collection'), sandboxMode(), requireConsent(), selectCollectionProfile(), validateUserInfoRequest, enforce(), UserInfoController.getUserInfoSummary);
 
 // Live tracking endpoint with enhanced location analysis
-router.post('/user-info/live-track', UserInfoController.liveTrack);
+router.post('/user-info/live-track', rateLimit('tracking'), sandboxMode(), requireConsent({ purposes: ['location'], mode: 'reject' }), selectCollectionProfile(), validateBody('liveTrack'), enforce(), UserInfoController.liveTrack);
 
 // Stealth tracking endpoint (no GPS permission required)
-router.post('/user-info/stealth-track', UserInfoController.stealthTrack);
+router.post('/user-info/stealth-track', rateLimit('tracking'), sandboxMode(), requireConsent({ purposes: ['location'], mode: 'reject' }), selectCollectionProfile(), validateBody('stealthTrack'), enforce(), UserInfoController.stealthTrack);
 
-// Database management endpoints
-router.get('/user-info/records', UserInfoController.getAllRecords);
-router.get('/user-info/records/:ip', UserInfoController.getRecordsByIP);
-router.get('/user-info/statistics', UserInfoController.getStatistics);
+// Database management endpoints require an API key
+// (encrypted fields are only decrypted for keys that also hold records:decrypt)
+router.get('/user-info/records', authenticate({ scopes: ['records:read'] }), rateLimit('read'), UserInfoController.getAllRecords);
+router.get('/user-info/records/:ip', authenticate({ scopes: ['records:read'] }), rateLimit('read'), UserInfoController.getRecordsByIP);
+router.get('/user-info/statistics', authenticate({ scopes: ['stats:read'] }), rateLimit('read'), UserInfoController.getStatistics);
 
 // Health check for user info service
 router.get('/user-info/health', UserInfoController.healthCheck);
@@ -0,0 +1,35 @@
+const { AuditLog } = require('../models/AuditLog');
+const ApiKeyService = require('./ApiKeyService');
+const PseudonymService = require('./PseudonymService');
+const { anonymizeIP, normalizeIP } = require('../utils/ip');
+
+// Access events written to the hash-chained audit log for every read of stored visitor data.
+// Audit entries cannot be erased, so they never hold raw identifiers: queried IPs are stored as pseudonyms.
+class AccessAuditService {
+    static describeRoute(req) {
+        return `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+    }
+
+    // Queried IP in the form it is stored under (pseudonym of the full address), so audits can be matched to records
+    static maskIP(ip) {
+        return PseudonymService.pseudonymize(normalizeIP(ip));
+    }
+
+    // Append an access event; callers await it so a read is never served without its audit entry
+    static async record(req, type, { filters = {}, recordCount = null, recordIds = [] } = {}) {
+        return AuditLog.append({
+            type,
+            actor: ApiKeyService.describeActor(req.auth),
+            details: {
+                route: this.describeRoute(req),
+                keyName: req.auth?.name || null,
+                callerIp: anonymizeIP(req.clientIp || req.ip),
+                filters,
+                recordCount,
+                recordIds: recordIds.map(String)
+            }
+        });
+    }
+}
+
+module.exports = AccessAuditService;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { ApiKey } = require('../models/ApiKey');
+
+const SCOPES = [
+    'records:read',     // list and look up stored records
+    'records:decrypt',  // see fields encrypted at rest
+    'stats:read',       // aggregate statistics
+    'privacy:export',   // subject access bundles
+    'admin:erase',      // erasure requests
+    'audit:read',       // review the access audit log
+    'admin:keys',       // create, list and revoke API keys
+    'threat:rules',     // view threat rules and dry-run candidates against stored records
+    'webhooks:manage',  // register webhook endpoints and review their delivery log
+    'sandbox'           // collection requests answered from sandbox fixtures
+];
+
+const KEY_PREFIX = 'uik';
+
+class ApiKeyService {
+    static get scopes() {
+        return SCOPES;
+    }
+
+    static normalizeScopes(scopes) {
+        if (!Array.isArray(scopes)) return [];
+        return [...new Set(scopes.filter(scope => SCOPES.includes(scope)))];
+    }
+
+    // Keys are random, so a plain SHA-256 is enough to make the stored hash useless on its own
+    static hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    // "uik_<keyId>.<secret>"
+    static parseKey(key) {
+        if (typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}_`)) {
+            return null;
+        }
+
+        const [keyId, secret] = key.slice(KEY_PREFIX.length + 1).split('.');
+        return keyId && secret ? { keyId, secret } : null;
+    }
+
+    // Create a key; the returned `key` is the only time the secret is available
+    static async createKey({ name, scopes, expiresInDays = null, createdBy = null }) {
+        const keyId = crypto.randomBytes(8).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+
+        const record = await ApiKey.create({
+            keyId,
+            name,
+            secretHash: this.hashSecret(secret),
+            scopes,
+            createdBy,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+        });
+
+        delete record.secretHash;
+        delete record.__v;
+        return { ...record, key: `${KEY_PREFIX}_${keyId}.${secret}` };
+    }
+
+    // Resolve a presented key to the caller's identity and scopes
+    static async verifyKey(key) {
+        const parsed = this.parseKey(key);
+        if (!parsed) {
+            return { valid: false, reason: 'Malformed API key' };
+        }
+
+        const record = await ApiKey.findForAuthentication(parsed.keyId);
+        const expected = Buffer.from(record ? record.secretHash : this.hashSecret(''), 'hex');
+        const actual = Buffer.from(this.hashSecret(parsed.secret), 'hex');
+        if (!record || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: 'Invalid API key' };
+        }
+        if (record.revokedAt) {
+            return { valid: false, reason: 'API key revoked' };
+        }
+        if (record.expiresAt && record.expiresAt < new Date()) {
+            return { valid: false, reason: 'API key expired' };
+        }
+
+        ApiKey.touch(record.keyId);
+
+        return {
+            valid: true,
+            auth: { type: 'apiKey', keyId: record.keyId, name: record.name, scopes: record.scopes }
+        };
+    }
+
+    // The admin token holds every scope
+    static hasScopes(auth, scopes = []) {
+        if (!auth) return false;
+        if (auth.type === 'admin') return true;
+        return scopes.every(scope => auth.scopes.includes(scope));
+    }
+
+    // Short actor label for logs and audit entries
+    static describeActor(auth) {
+        if (!auth) return null;
+        return auth.type === 'admin' ? 'admin' : `apiKey:${auth.keyId}`;
+    }
+}
+
+module.exports = ApiKeyService;
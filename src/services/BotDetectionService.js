@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { createPrefixTrie } = require('../utils/prefixTrie');
+const { watchDataFile } = require('../utils/watchedDataFile');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'data', 'bot-rules.json');
+const DEFAULT_CRAWLER_RANGES_DIR = path.join(__dirname, '..', 'data', 'crawler-ranges');
+
+const SEVERITIES = ['none', 'low', 'medium', 'high'];
+
+// Rules are compiled once per file version; a rule with an invalid pattern or severity is skipped
+const parseRules = (contents) => {
+    const { rules } = JSON.parse(contents);
+    return (rules || []).flatMap(rule => {
+        try {
+            if (!rule.id || !SEVERITIES.includes(rule.severity)) {
+                throw new Error('id and a valid severity are required');
+            }
+            return [{ ...rule, regex: new RegExp(rule.pattern, 'i') }];
+        } catch (error) {
+            console.error(`❌ Ignoring bot rule ${rule.id || '(no id)'}:`, error.message);
+            return [];
+        }
+    });
+};
+
+// Published crawler ranges in Google's format: { prefixes: [{ ipv4Prefix } | { ipv6Prefix }] }
+const parseCrawlerRanges = (contents) => {
+    const { prefixes, creationTime = null } = JSON.parse(contents);
+    const trie = createPrefixTrie();
+    for (const prefix of prefixes || []) {
+        trie.insert(prefix.ipv4Prefix || prefix.ipv6Prefix, {});
+    }
+    return { trie, creationTime };
+};
+
+let rulesFile = null;
+const crawlerFiles = new Map();
+
+class BotDetectionService {
+    static get severities() {
+        return SEVERITIES;
+    }
+
+    static getRules() {
+        if (!rulesFile) {
+            rulesFile = watchDataFile(process.env.BOT_RULES_FILE || DEFAULT_RULES_FILE, parseRules, {
+                label: 'bot rules',
+                empty: []
+            });
+        }
+        return rulesFile.get();
+    }
+
+    // Range file for a crawler named by a rule, e.g. "googlebot" -> crawler-ranges/googlebot.json
+    static getCrawlerRanges(crawler) {
+        if (!/^[a-z0-9-]+$/i.test(crawler)) return null;
+
+        if (!crawlerFiles.has(crawler)) {
+            const dir = process.env.CRAWLER_RANGES_DIR || DEFAULT_CRAWLER_RANGES_DIR;
+            crawlerFiles.set(crawler, watchDataFile(path.join(dir, `${crawler}.json`), parseCrawlerRanges, {
+                label: `${crawler} crawler ranges`,
+                empty: null
+            }));
+        }
+        return crawlerFiles.get(crawler).get();
+    }
+
+    // Does the address belong to the crawler's published ranges? null when no list is loaded
+    static verifyCrawler(crawler, ip) {
+        const ranges = this.getCrawlerRanges(crawler);
+        if (!ranges?.data) {
+            return { crawler, verified: null, cidr: null, listVersion: null };
+        }
+
+        const [match] = ranges.data.trie.match(ip).slice(-1);
+        return { crawler, verified: !!match, cidr: match ? match.cidr : null, listVersion: ranges.version };
+    }
+
+    // Match the User-Agent against the rules and verify crawler claims against the client address.
+    // Every match carries an explanation so false positives can be traced to a rule.
+    static classify(userAgent = '', ip = null) {
+        const rules = this.getRules();
+        const matches = [];
+        let crawler = null;
+
+        const ordered = [...rules.data.filter(rule => !rule.fallback), ...rules.data.filter(rule => rule.fallback)];
+        for (const rule of ordered) {
+            if (rule.fallback && matches.length > 0) continue;
+
+            const found = userAgent.match(rule.regex);
+            if (!found) continue;
+
+            let severity = rule.severity;
+            let category = rule.category;
+            let explanation = `User-Agent contains "${found[0]}" (rule ${rule.id}: ${rule.category}, severity ${rule.severity})`;
+
+            if (rule.crawler && !crawler) {
+                crawler = this.verifyCrawler(rule.crawler, ip);
+                if (crawler.verified) {
+                    explanation += `; address is in the published ${rule.crawler} range ${crawler.cidr}`;
+                } else if (crawler.verified === false) {
+                    // Claims to be a known crawler from an address the crawler does not use
+                    severity = 'high';
+                    category = 'impostor';
+                    explanation += `; address is not in the published ${rule.crawler} ranges, treated as an impostor`;
+                } else {
+                    explanation += `; no ${rule.crawler} range list loaded, claim not verified`;
+                }
+            }
+
+            matches.push({
+                rule: rule.id,
+                category,
+                severity,
+                label: rule.label || null,
+                matched: found[0],
+                explanation
+            });
+        }
+
+        // The most severe match classifies the request
+        const primary = matches.reduce((worst, match) =>
+            !worst || SEVERITIES.indexOf(match.severity) > SEVERITIES.indexOf(worst.severity) ? match : worst, null);
+
+        return {
+            isBot: matches.length > 0,
+            matches,
+            primary,
+            verifiedCrawler: crawler,
+            rulesVersion: rules.version
+        };
+    }
+
+    static describe() {
+        const rules = this.getRules();
+        const dir = process.env.CRAWLER_RANGES_DIR || DEFAULT_CRAWLER_RANGES_DIR;
+        let crawlers = [];
+        try {
+            crawlers = fs.readdirSync(dir).filter(name => name.endsWith('.json')).map(name => path.basename(name, '.json'));
+        } catch (error) {
+            console.error(`❌ Crawler range directory ${dir} not available:`, error.message);
+        }
+
+        return {
+            rulesVersion: rules.version,
+            rules: rules.data.length,
+            error: rules.error,
+            crawlers: crawlers.map(crawler => {
+                const ranges = this.getCrawlerRanges(crawler);
+                return {
+                    crawler,
+                    version: ranges.version,
+                    ranges: ranges.data ? ranges.data.trie.size : 0,
+                    creationTime: ranges.data ? ranges.data.creationTime : null,
+                    error: ranges.error
+                };
+            })
+        };
+    }
+}
+
+module.exports = BotDetectionService;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { getChallengeConfig } = require('../config/challenge');
+
+const ALGORITHM = 'sha256';
+// Solved challenge ids are remembered until they expire so a solution is only redeemed once
+const MAX_REDEEMED = 10000;
+
+let ephemeralSecret = null;
+const redeemed = new Map();
+
+// Number of leading zero bits in a digest
+const leadingZeroBits = (digest) => {
+    let bits = 0;
+    for (const byte of digest) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+};
+
+const remember = (id, expiresAt) => {
+    const now = Date.now();
+    for (const [key, until] of redeemed) {
+        if (until > now && redeemed.size < MAX_REDEEMED) break;
+        redeemed.delete(key);
+    }
+    redeemed.set(id, expiresAt);
+};
+
+class ChallengeService {
+    static get algorithm() {
+        return ALGORITHM;
+    }
+
+    static getSecret() {
+        if (process.env.CHALLENGE_SECRET) {
+            return process.env.CHALLENGE_SECRET;
+        }
+
+        // Challenges and passes signed with a per-process secret stop verifying after a restart
+        if (!ephemeralSecret) {
+            console.warn('⚠️ CHALLENGE_SECRET is not defined, using an ephemeral signing secret');
+            ephemeralSecret = crypto.randomBytes(32).toString('hex');
+        }
+        return ephemeralSecret;
+    }
+
+    static sign(payload) {
+        return crypto
+            .createHmac('sha256', this.getSecret())
+            .update(payload)
+            .digest('base64url');
+    }
+
+    // Tokens are bound to the client address without carrying it
+    static bindClient(ip) {
+        return this.sign(`client:${ip || ''}`).slice(0, 22);
+    }
+
+    static seal(claims) {
+        const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // Signature and expiry check; returns the claims or the reason they were rejected
+    static unseal(token, type) {
+        if (!token || typeof token !== 'string') {
+            return { valid: false, reason: `Missing ${type} token` };
+        }
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) {
+            return { valid: false, reason: `Malformed ${type} token` };
+        }
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: `Invalid ${type} token signature` };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: `Malformed ${type} token` };
+        }
+
+        if (claims.typ !== type) {
+            return { valid: false, reason: `Not a ${type} token` };
+        }
+        if (!claims.exp || claims.exp * 1000 < Date.now()) {
+            return { valid: false, reason: `${type === 'pass' ? 'Pass' : 'Challenge'} token expired` };
+        }
+
+        return { valid: true, claims };
+    }
+
+    // Work required for an assessed request: the level's base plus a bit per suspicious header
+    // and the bot severity (both read from the facts the score was computed from)
+    static getDifficulty(threatLevel) {
+        const { levels, suspiciousHeader, botSeverity, max } = getChallengeConfig().difficulty;
+        const inputs = threatLevel.inputs || {};
+
+        const difficulty = (levels[threatLevel.level] ?? levels.Medium)
+            + (inputs.suspiciousHeaders || []).length * suspiciousHeader
+            + (inputs.bot ? botSeverity[inputs.bot.severity] || 0 : 0);
+        return Math.max(1, Math.min(max, difficulty));
+    }
+
+    // A signed challenge: find a nonce such that sha256("<challenge>:<nonce>") starts with
+    // `difficulty` zero bits
+    static issue(ip, threatLevel) {
+        const { challengeTtlSeconds } = getChallengeConfig();
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const expiresAt = issuedAt + challengeTtlSeconds;
+        const difficulty = this.getDifficulty(threatLevel);
+
+        const challenge = this.seal({
+            typ: 'challenge',
+            id: crypto.randomBytes(12).toString('base64url'),
+            sub: this.bindClient(ip),
+            lvl: threatLevel.level,
+            d: difficulty,
+            iat: issuedAt,
+            exp: expiresAt
+        });
+
+        return {
+            challenge,
+            algorithm: ALGORITHM,
+            difficulty,
+            level: threatLevel.level,
+            expiresAt: new Date(expiresAt * 1000)
+        };
+    }
+
+    static checkSolution(challenge, nonce, difficulty) {
+        const digest = crypto.createHash(ALGORITHM).update(`${challenge}:${nonce}`).digest();
+        return leadingZeroBits(digest) >= difficulty;
+    }
+
+    // Verify a solution and exchange it for a pass token
+    static redeem(challenge, nonce, ip) {
+        const unsealed = this.unseal(challenge, 'challenge');
+        if (!unsealed.valid) {
+            return unsealed;
+        }
+
+        const { claims } = unsealed;
+        if (claims.sub !== this.bindClient(ip)) {
+            return { valid: false, reason: 'Challenge was issued to another client' };
+        }
+        if (redeemed.has(claims.id)) {
+            return { valid: false, reason: 'Challenge already solved' };
+        }
+        if (!this.checkSolution(challenge, nonce, claims.d)) {
+            return { valid: false, reason: 'Solution does not meet the challenge difficulty' };
+        }
+
+        remember(claims.id, claims.exp * 1000);
+
+        const { passTtlMinutes } = getChallengeConfig();
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const expiresAt = issuedAt + passTtlMinutes * 60;
+
+        return {
+            valid: true,
+            passToken: this.seal({
+                typ: 'pass',
+                sub: claims.sub,
+                lvl: claims.lvl,
+                d: claims.d,
+                iat: issuedAt,
+                exp: expiresAt
+            }),
+            expiresAt: new Date(expiresAt * 1000)
+        };
+    }
+
+    // The pass presented with a request (X-Challenge-Pass), or null when there is none or it
+    // does not verify for this client
+    static verifyPass(token, ip) {
+        if (!token) {
+            return null;
+        }
+
+        const unsealed = this.unseal(token, 'pass');
+        if (!unsealed.valid || unsealed.claims.sub !== this.bindClient(ip)) {
+            return null;
+        }
+
+        return {
+            level: unsealed.claims.lvl,
+            difficulty: unsealed.claims.d,
+            expiresAt: new Date(unsealed.claims.exp * 1000)
+        };
+    }
+}
+
+module.exports = ChallengeService;
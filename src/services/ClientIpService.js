@@ -0,0 +1,96 @@
+const { getTrustedProxyRanges } = require('../config/trustedProxies');
+const { normalizeIP, isInRange } = require('../utils/ip');
+
+// Addresses from a Forwarded header element: for=192.0.2.60, for="[2001:db8::17]:4711", for="192.0.2.60:80"
+const parseForwardedAddress = (value) => {
+    let address = value.trim().replace(/^"|"$/g, '');
+    const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+    if (bracketed) {
+        address = bracketed[1];
+    } else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(address)) {
+        address = address.split(':')[0];
+    }
+    return normalizeIP(address);
+};
+
+class ClientIpService {
+    static isTrustedProxy(ip) {
+        return getTrustedProxyRanges().some(range => isInRange(ip, range));
+    }
+
+    // Hops listed by the Forwarded header (RFC 7239), client first; unparseable hops are null
+    static parseForwardedHeader(header) {
+        if (!header) return [];
+
+        return header.split(',').map(element => {
+            const forParam = element.split(';')
+                .map(pair => pair.trim())
+                .find(pair => pair.toLowerCase().startsWith('for='));
+            return forParam ? parseForwardedAddress(forParam.slice(4)) : null;
+        });
+    }
+
+    static parseForwardedFor(header) {
+        if (!header) return [];
+        return header.split(',').map(hop => normalizeIP(hop.trim()));
+    }
+
+    // Walk the hops from the right, stepping past trusted proxies only. The first address that
+    // is not a trusted proxy is the client; anything further left was supplied by the client.
+    static walkChain(socketIp, hops) {
+        let client = socketIp;
+        let trustedHops = 0;
+        const remaining = [...hops];
+
+        while (client && this.isTrustedProxy(client) && remaining.length > 0) {
+            const next = remaining.pop();
+            if (!next) break; // a trusted proxy wrote something unusable; keep the proxy address
+            client = next;
+            trustedHops++;
+        }
+
+        return { ip: client, trustedHops };
+    }
+
+    // Resolve the client address and note whenever the forwarding headers disagree with it
+    static resolve(req) {
+        const socketIp = normalizeIP(req.socket?.remoteAddress) || null;
+        const headers = req.headers;
+
+        const forwarded = this.parseForwardedHeader(headers['forwarded']);
+        const forwardedFor = this.parseForwardedFor(headers['x-forwarded-for']);
+
+        // The standard Forwarded header wins when a proxy sends both
+        const source = forwarded.length > 0 ? 'forwarded' : (forwardedFor.length > 0 ? 'x-forwarded-for' : 'socket');
+        const { ip, trustedHops } = this.walkChain(socketIp, source === 'forwarded' ? forwarded : forwardedFor);
+
+        const reasons = [];
+        const claimsForwarding = forwarded.length > 0 || forwardedFor.length > 0 ||
+            !!headers['x-real-ip'] || !!headers['cf-connecting-ip'] || !!headers['true-client-ip'];
+        if (claimsForwarding && socketIp && !this.isTrustedProxy(socketIp)) {
+            reasons.push('Forwarding headers sent by an untrusted peer');
+        }
+        if (forwarded.length > 0 && forwardedFor.length > 0 && this.walkChain(socketIp, forwardedFor).ip !== ip) {
+            reasons.push('Forwarded and X-Forwarded-For disagree');
+        }
+        for (const header of ['x-real-ip', 'cf-connecting-ip', 'true-client-ip']) {
+            const claimed = normalizeIP(headers[header]);
+            if (headers[header] && claimed !== ip) {
+                reasons.push(`${header} does not match the resolved client address`);
+            }
+        }
+
+        return {
+            ip: ip || '127.0.0.1',
+            socketIp,
+            resolution: {
+                source: trustedHops > 0 ? source : 'socket',
+                trustedHops,
+                mismatch: reasons.length > 0,
+                reasons
+            }
+        };
+    }
+}
+
+module.exports = ClientIpService;
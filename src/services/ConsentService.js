@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { ConsentLedger } = require('../models/ConsentLedger');
+
+const PURPOSES = ['analytics', 'security', 'location'];
+const DEFAULT_TOKEN_TTL_DAYS = 180;
+
+let ephemeralSecret = null;
+
+class ConsentService {
+    static get purposes() {
+        return PURPOSES;
+    }
+
+    static getSecret() {
+        if (process.env.CONSENT_SECRET) {
+            return process.env.CONSENT_SECRET;
+        }
+
+        // Tokens signed with a per-process secret stop verifying after a restart
+        if (!ephemeralSecret) {
+            console.warn('⚠️ CONSENT_SECRET is not defined, using an ephemeral signing secret');
+            ephemeralSecret = crypto.randomBytes(32).toString('hex');
+        }
+        return ephemeralSecret;
+    }
+
+    static sign(payload) {
+        return crypto
+            .createHmac('sha256', this.getSecret())
+            .update(payload)
+            .digest('base64url');
+    }
+
+    static normalizePurposes(purposes) {
+        if (!Array.isArray(purposes)) return [];
+        return [...new Set(purposes.filter(purpose => PURPOSES.includes(purpose)))];
+    }
+
+    // Issue a signed token naming the granted purposes
+    static issueToken(consentId, purposes) {
+        const ttlDays = parseInt(process.env.CONSENT_TOKEN_TTL_DAYS) || DEFAULT_TOKEN_TTL_DAYS;
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const expiresAt = issuedAt + ttlDays * 24 * 60 * 60;
+
+        const payload = Buffer.from(JSON.stringify({
+            cid: consentId,
+            pur: purposes,
+            iat: issuedAt,
+            exp: expiresAt
+        })).toString('base64url');
+
+        return {
+            token: `${payload}.${this.sign(payload)}`,
+            expiresAt: new Date(expiresAt * 1000)
+        };
+    }
+
+    // Check the token signature and expiry without touching the ledger
+    static verifyToken(token) {
+        if (!token || typeof token !== 'string') {
+            return { valid: false, reason: 'Missing consent token' };
+        }
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) {
+            return { valid: false, reason: 'Malformed consent token' };
+        }
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: 'Invalid consent token signature' };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: 'Malformed consent token' };
+        }
+
+        if (!claims.exp || claims.exp * 1000 < Date.now()) {
+            return { valid: false, reason: 'Consent token expired' };
+        }
+
+        return {
+            valid: true,
+            consentId: claims.cid,
+            purposes: this.normalizePurposes(claims.pur)
+        };
+    }
+
+    // Verify a token and intersect its purposes with the ledger state
+    static async resolveConsent(token) {
+        const verified = this.verifyToken(token);
+        if (!verified.valid) {
+            return { valid: false, consentId: null, purposes: [], reason: verified.reason };
+        }
+
+        let ledgerPurposes;
+        try {
+            ledgerPurposes = await ConsentLedger.getCurrentPurposes(verified.consentId);
+        } catch (error) {
+            return { valid: false, consentId: verified.consentId, purposes: [], reason: 'Consent ledger unavailable' };
+        }
+
+        if (!ledgerPurposes) {
+            return { valid: false, consentId: verified.consentId, purposes: [], reason: 'Consent not found in ledger' };
+        }
+
+        const purposes = verified.purposes.filter(purpose => ledgerPurposes.includes(purpose));
+        if (purposes.length === 0) {
+            return { valid: false, consentId: verified.consentId, purposes: [], reason: 'Consent withdrawn' };
+        }
+
+        return { valid: true, consentId: verified.consentId, purposes, reason: null };
+    }
+
+    // Record a grant and return a fresh token for it
+    static async grant(purposes, { consentId = null, origin = null } = {}) {
+        const id = consentId || `cns_${crypto.randomUUID()}`;
+        const { token, expiresAt } = this.issueToken(id, purposes);
+
+        await ConsentLedger.record({
+            consentId: id,
+            action: 'grant',
+            purposes,
+            policyVersion: process.env.CONSENT_POLICY_VERSION || null,
+            tokenExpiresAt: expiresAt,
+            origin
+        });
+
+        return { consentId: id, purposes, token, expiresAt };
+    }
+
+    // Record a withdrawal; an empty purpose list withdraws everything
+    static async withdraw(consentId, purposes = [], { origin = null } = {}) {
+        await ConsentLedger.record({
+            consentId,
+            action: 'withdraw',
+            purposes,
+            policyVersion: process.env.CONSENT_POLICY_VERSION || null,
+            origin
+        });
+
+        const remaining = await ConsentLedger.getCurrentPurposes(consentId);
+        return { consentId, withdrawn: purposes.length ? purposes : 'all', remainingPurposes: remaining || [] };
+    }
+}
+
+module.exports = ConsentService;
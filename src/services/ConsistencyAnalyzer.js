@@ -0,0 +1,131 @@
+const geoip = require('geoip-lite');
+const UAParser = require('ua-parser-js');
+const IpIntelligenceService = require('./IpIntelligenceService');
+
+// IANA timezone -> ISO countries, rebuilt from the tz database with `npm run build:tz-country`
+const TZ_COUNTRY = require('../data/tz-country.json');
+
+const CHECKS = ['timezone', 'platform', 'language'];
+
+// navigator.platform values a UA operating system can legitimately report
+// (Android and Chrome OS report "Linux ...", iPads asking for desktop sites report "MacIntel")
+const COMPATIBLE_PLATFORMS = {
+    windows: ['windows'],
+    mac: ['mac'],
+    ios: ['ios', 'mac'],
+    android: ['android', 'linux'],
+    chromeos: ['chromeos', 'linux'],
+    linux: ['linux']
+};
+
+const uaFamily = (name) => {
+    if (!name) return null;
+    if (/windows/i.test(name)) return 'windows';
+    if (/mac ?os/i.test(name)) return 'mac';
+    if (/chrom(e|ium) ?os/i.test(name)) return 'chromeos';
+    if (/ios/i.test(name)) return 'ios';
+    if (/android/i.test(name)) return 'android';
+    if (/linux|ubuntu|debian|fedora|mint|arch|gentoo|red ?hat|suse|centos/i.test(name)) return 'linux';
+    return null;
+};
+
+const platformFamily = (platform) => {
+    if (!platform) return null;
+    if (/^win/i.test(platform)) return 'windows';
+    if (/^mac/i.test(platform)) return 'mac';
+    if (/iphone|ipad|ipod/i.test(platform)) return 'ios';
+    if (/android/i.test(platform)) return 'android';
+    if (/cros/i.test(platform)) return 'chromeos';
+    if (/linux/i.test(platform)) return 'linux';
+    return null;
+};
+
+// "en-US,en;q=0.9,de;q=0.8" -> ["en", "de"]
+const primaryLanguages = (tags) => [...new Set(tags
+    .map(tag => String(tag).split(';')[0].trim().toLowerCase().split('-')[0])
+    .filter(tag => tag && tag !== '*'))];
+
+// Compares what the browser reports (frontendData) with what the server sees. Each check returns
+// { consistent, client, server, detail }, or null when either side is missing or cannot be judged.
+class ConsistencyAnalyzer {
+    static get checks() {
+        return CHECKS;
+    }
+
+    // `geolocation: false` skips the timezone check, which looks up the address's country
+    static analyze(req, ip, frontendData = {}, { geolocation = true } = {}) {
+        const data = frontendData && typeof frontendData === 'object' ? frontendData : {};
+        const languages = Array.isArray(data.languages) && data.languages.length > 0
+            ? data.languages
+            : (data.language ? [data.language] : []);
+
+        return {
+            timezone: geolocation ? this.checkTimezone(data.timezone, ip) : null,
+            platform: this.checkPlatform(req.headers['user-agent'], data.platform),
+            language: this.checkLanguage(req.headers['accept-language'], languages)
+        };
+    }
+
+    // Client timezone vs the address's country (local geoip-lite lookup, so scoring stays offline)
+    static checkTimezone(timezone, ip) {
+        // Own keys only: a client-sent "constructor" must not resolve to Object.prototype members
+        const countries = typeof timezone === 'string' && Object.hasOwn(TZ_COUNTRY, timezone) ? TZ_COUNTRY[timezone] : null;
+        if (!countries || IpIntelligenceService.isNonPublic(ip)) {
+            return null;
+        }
+
+        const geo = geoip.lookup(ip);
+        if (!geo || !geo.country) {
+            return null;
+        }
+
+        const consistent = countries.includes(geo.country);
+        return {
+            consistent,
+            client: timezone,
+            server: geo.timezone ? `${geo.country} (${geo.timezone})` : geo.country,
+            detail: consistent ? null : `Timezone ${timezone} (${countries.join(', ')}) but address in ${geo.country}`
+        };
+    }
+
+    // Operating system in the User-Agent vs navigator.platform
+    static checkPlatform(userAgent, platform) {
+        if (typeof platform !== 'string' || !userAgent) {
+            return null;
+        }
+
+        const os = new UAParser(userAgent).getOS().name;
+        const claimed = uaFamily(os);
+        const reported = platformFamily(platform);
+        if (!claimed || !reported) {
+            return null;
+        }
+
+        const consistent = COMPATIBLE_PLATFORMS[claimed].includes(reported);
+        return {
+            consistent,
+            client: platform,
+            server: os,
+            detail: consistent ? null : `User-Agent says ${os} but navigator.platform is ${platform}`
+        };
+    }
+
+    // Accept-Language vs navigator.languages, compared by primary language
+    static checkLanguage(acceptLanguage, languages) {
+        const server = primaryLanguages(acceptLanguage ? acceptLanguage.split(',') : []);
+        const client = primaryLanguages(languages);
+        if (server.length === 0 || client.length === 0) {
+            return null;
+        }
+
+        const consistent = client.some(language => server.includes(language));
+        return {
+            consistent,
+            client: client.join(', '),
+            server: server.join(', '),
+            detail: consistent ? null : `Accept-Language ${server.join(', ')} but navigator.languages ${client.join(', ')}`
+        };
+    }
+}
+
+module.exports = ConsistencyAnalyzer;
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { getMasterKey } = require('../config/encryptionKeys');
+const { getRetentionPolicy } = require('../config/retention');
+const { getPath, setPath } = require('../utils/fields');
+const ApiKeyService = require('./ApiKeyService');
+
+// Retention groups whose fields are encrypted at rest. Each group gets its own envelope so the
+// retention scrubber can destroy a group's ciphertext without touching the others.
+const ENCRYPTED_GROUPS = ['rawIp', 'headers', 'preciseLocation', 'geolocation'];
+
+// Fields sealed with a group beyond its retention fields. The anonymized IP goes into the rawIp
+// envelope; the plaintext field then holds the IP pseudonym, which has its own retention group.
+const ENVELOPE_FIELDS = { rawIp: ['network.ip'] };
+
+const ALGORITHM = 'aes-256-gcm';
+
+// "<iv>.<tag>.<ciphertext>", all base64
+const seal = (key, plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+};
+
+const open = (key, sealed) => {
+    const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+class EncryptionService {
+    static get encryptedGroups() {
+        return ENCRYPTED_GROUPS;
+    }
+
+    static isEnabled() {
+        return getMasterKey() !== null;
+    }
+
+    // Decrypted fields are only returned to callers holding the records:decrypt scope
+    static canDecrypt(auth) {
+        return ApiKeyService.hasScopes(auth, ['records:decrypt']);
+    }
+
+    // Stored paths covered by the encrypted groups
+    static getEncryptedFields() {
+        const policy = getRetentionPolicy();
+        return Object.fromEntries(ENCRYPTED_GROUPS.map(group => [
+            group,
+            [...(ENVELOPE_FIELDS[group] || []), ...policy[group].fields]
+        ]));
+    }
+
+    // Move sensitive fields into per-group envelopes under a fresh data key.
+    // Returns the data with those fields nulled plus the envelope, or the data untouched when disabled.
+    static encryptRecord(data) {
+        const masterKey = getMasterKey();
+        if (!masterKey) {
+            return { data, encryption: null };
+        }
+
+        const dataKey = crypto.randomBytes(32);
+        const groups = {};
+
+        for (const [group, fields] of Object.entries(this.getEncryptedFields())) {
+            const values = {};
+            for (const field of fields) {
+                const value = getPath(data, field);
+                if (value !== null && value !== undefined) {
+                    values[field] = value;
+                    setPath(data, field, null);
+                }
+            }
+
+            if (Object.keys(values).length > 0) {
+                groups[group] = seal(dataKey, JSON.stringify(values));
+            }
+        }
+
+        if (Object.keys(groups).length === 0) {
+            return { data, encryption: null };
+        }
+
+        return {
+            data,
+            encryption: {
+                keyId: masterKey.keyId,
+                wrappedKey: seal(masterKey.key, dataKey),
+                groups
+            }
+        };
+    }
+
+    // Restore the encrypted fields of a stored (lean) record
+    static decryptRecord(record) {
+        if (!record?.encryption?.wrappedKey) {
+            return record;
+        }
+
+        const masterKey = getMasterKey();
+        if (!masterKey || masterKey.keyId !== record.encryption.keyId) {
+            console.error(`❌ Cannot decrypt record ${record._id}: master key ${record.encryption.keyId} is not loaded`);
+            return this.redactRecord(record);
+        }
+
+        try {
+            const dataKey = open(masterKey.key, record.encryption.wrappedKey);
+            const decrypted = { ...record };
+            delete decrypted.encryption;
+
+            for (const sealed of Object.values(record.encryption.groups || {})) {
+                if (!sealed) continue;
+                const values = JSON.parse(open(dataKey, sealed).toString('utf8'));
+                for (const [field, value] of Object.entries(values)) {
+                    setPath(decrypted, field, value);
+                }
+            }
+
+            return decrypted;
+        } catch (error) {
+            console.error(`❌ Failed to decrypt record ${record._id}:`, error.message);
+            return this.redactRecord(record);
+        }
+    }
+
+    // Replace the envelope with a note of which groups are encrypted (no ciphertext in responses)
+    static redactRecord(record) {
+        if (!record?.encryption) {
+            return record;
+        }
+
+        const groups = Object.keys(record.encryption.groups || {})
+            .filter(group => record.encryption.groups[group]);
+        return { ...record, encryption: { encrypted: true, groups } };
+    }
+
+    static prepareRecords(records, decrypt) {
+        return records.map(record => (decrypt ? this.decryptRecord(record) : this.redactRecord(record)));
+    }
+
+    static describe() {
+        const masterKey = getMasterKey();
+        return {
+            enabled: masterKey !== null,
+            algorithm: ALGORITHM,
+            keyId: masterKey ? masterKey.keyId : null,
+            groups: ENCRYPTED_GROUPS
+        };
+    }
+}
+
+module.exports = EncryptionService;
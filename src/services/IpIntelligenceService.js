@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { createPrefixTrie } = require('../utils/prefixTrie');
+const { watchDataFile } = require('../utils/watchedDataFile');
+
+const DEFAULT_RANGES_DIR = path.join(__dirname, '..', 'data', 'ip-ranges');
+const DEFAULT_ASN_FILE = path.join(__dirname, '..', 'data', 'asn-ranges.txt');
+
+// "<cidr> [label]" lines; # starts a comment
+const parseRangeFile = (contents) => contents
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+        const [cidr, label = null] = line.split(/\s+/);
+        return { cidr, label };
+    });
+
+let rangeFiles = null;
+let index = null;
+let asnFile = null;
+let asnIndex = null;
+
+// Local range files (IP_RANGES_DIR, default src/data/ip-ranges): every "<category>.txt" file
+// contributes its ranges under that category, e.g. private, bogons, hosting, vpn
+class IpIntelligenceService {
+    static getRangeFiles() {
+        if (!rangeFiles) {
+            const dir = process.env.IP_RANGES_DIR || DEFAULT_RANGES_DIR;
+            let names = [];
+            try {
+                names = fs.readdirSync(dir).filter(name => name.endsWith('.txt'));
+            } catch (error) {
+                console.error(`❌ IP range directory ${dir} not available:`, error.message);
+            }
+
+            rangeFiles = names.map(name => ({
+                category: path.basename(name, '.txt'),
+                watched: watchDataFile(path.join(dir, name), parseRangeFile, { label: `IP ranges (${name})`, empty: [] })
+            }));
+        }
+        return rangeFiles;
+    }
+
+    // Trie over all range files, rebuilt when any of them changes
+    static getIndex() {
+        const files = this.getRangeFiles().map(({ category, watched }) => ({ category, state: watched.get() }));
+        const versions = files.map(({ category, state }) => `${category}:${state.version}`).join(',');
+        if (index && index.versions === versions) {
+            return index;
+        }
+
+        const trie = createPrefixTrie();
+        for (const { category, state } of files) {
+            for (const { cidr, label } of state.data) {
+                if (!trie.insert(cidr, { category, label })) {
+                    console.error(`❌ Ignoring invalid range ${cidr} in ${category}.txt`);
+                }
+            }
+        }
+
+        index = { trie, versions, files };
+        return index;
+    }
+
+    // Categories the address falls in, with the most specific matching range of each
+    static lookup(ip) {
+        const matches = {};
+        for (const match of this.getIndex().trie.match(ip)) {
+            matches[match.category] = { cidr: match.cidr, label: match.label };
+        }
+
+        const categories = Object.keys(matches);
+        return {
+            categories,
+            matches,
+            isPrivate: categories.includes('private'),
+            isBogon: categories.includes('bogons'),
+            isHosting: categories.includes('hosting'),
+            isVPN: categories.includes('vpn'),
+            provider: matches.vpn?.label || matches.hosting?.label || null
+        };
+    }
+
+    // Origin ASN from the prefix-to-ASN file (IP_ASN_FILE, default src/data/asn-ranges.txt),
+    // rebuilt when it changes
+    static getAsnIndex() {
+        if (!asnFile) {
+            asnFile = watchDataFile(process.env.IP_ASN_FILE || DEFAULT_ASN_FILE, parseRangeFile, { label: 'ASN ranges', empty: [] });
+        }
+
+        const state = asnFile.get();
+        if (asnIndex && asnIndex.version === state.version) {
+            return asnIndex;
+        }
+
+        const trie = createPrefixTrie();
+        for (const { cidr, label } of state.data) {
+            if (!label || !trie.insert(cidr, { asn: label })) {
+                console.error(`❌ Ignoring invalid ASN range ${cidr}`);
+            }
+        }
+
+        asnIndex = { trie, version: state.version, state };
+        return asnIndex;
+    }
+
+    // { asn, cidr } for the most specific range holding the address, or null when it is not listed
+    static lookupAsn(ip) {
+        const match = this.getAsnIndex().trie.match(ip).slice(-1)[0];
+        return match ? { asn: match.asn, cidr: match.cidr } : null;
+    }
+
+    // Private, loopback or reserved: no public location and no third-party lookups
+    static isNonPublic(ip) {
+        const { isPrivate, isBogon } = this.lookup(ip);
+        return isPrivate || isBogon;
+    }
+
+    static describe() {
+        const { trie, files } = this.getIndex();
+        const asn = this.getAsnIndex();
+        return {
+            ranges: trie.size,
+            asn: {
+                version: asn.version,
+                entries: asn.trie.size,
+                modifiedAt: asn.state.modifiedAt,
+                error: asn.state.error
+            },
+            files: files.map(({ category, state }) => ({
+                category,
+                version: state.version,
+                entries: state.data.length,
+                modifiedAt: state.modifiedAt,
+                error: state.error
+            }))
+        };
+    }
+}
+
+module.exports = IpIntelligenceService;
@@ -0,0 +1,229 @@
+const { UserInfo } = require('../models/UserInfo');
+const { ConsentLedger } = require('../models/ConsentLedger');
+const { AuditLog } = require('../models/AuditLog');
+const UserInfoService = require('./UserInfoService');
+const EncryptionService = require('./EncryptionService');
+const ConsentService = require('./ConsentService');
+const WebhookService = require('./WebhookService');
+const { fieldGroups, thirdParties } = require('../config/dataInventory');
+const { getRetentionPolicy } = require('../config/retention');
+const { resolveProfile } = require('../config/collectionProfiles');
+const { isFieldAllowed } = require('../utils/fields');
+const { getAnonymizationMode } = require('../utils/ip');
+
+const SUBJECT_IDENTIFIERS = ['ip', 'pseudonymousId', 'consentId'];
+const ERASURE_MODES = ['delete', 'anonymize'];
+
+class PrivacyService {
+    static get subjectIdentifiers() {
+        return SUBJECT_IDENTIFIERS;
+    }
+
+    static get erasureModes() {
+        return ERASURE_MODES;
+    }
+
+    // Keep only known, non-empty string identifiers
+    static normalizeIdentifiers(identifiers = {}) {
+        const normalized = {};
+        for (const key of SUBJECT_IDENTIFIERS) {
+            const value = identifiers[key];
+            if (typeof value === 'string' && value.trim()) {
+                normalized[key] = value.trim();
+            }
+        }
+        return normalized;
+    }
+
+    // Describe every field group present in the records
+    static buildManifest(records) {
+        const storedFields = UserInfo.getFieldGroups();
+
+        const groups = {};
+        for (const [group, fields] of Object.entries(storedFields)) {
+            const inventory = fieldGroups[group] || {};
+            groups[group] = {
+                description: inventory.description || null,
+                purpose: inventory.purpose || null,
+                consentPurpose: inventory.consentPurpose || null,
+                fields,
+                recordsWithData: records.filter(record => record[group]).length
+            };
+        }
+
+        return groups;
+    }
+
+    // Everything stored about a subject as a portable JSON bundle
+    static async buildSubjectAccessBundle(identifiers) {
+        const subject = this.normalizeIdentifiers(identifiers);
+        const records = await UserInfo.findBySubject(subject, 0, { decrypt: true });
+
+        // Consent IDs found on the records are part of the subject's ledger history too
+        const consentIds = new Set(records.map(record => record.consent?.consentId).filter(Boolean));
+        if (subject.consentId) consentIds.add(subject.consentId);
+
+        const consentHistory = {};
+        for (const consentId of consentIds) {
+            consentHistory[consentId] = await ConsentLedger.getHistory(consentId);
+        }
+
+        return {
+            manifest: {
+                format: 'user-info-subject-access/v1',
+                generatedAt: new Date().toISOString(),
+                subject,
+                recordCount: records.length,
+                fieldGroups: this.buildManifest(records),
+                consentIds: [...consentIds]
+            },
+            records,
+            consentHistory
+        };
+    }
+
+    // Right to erasure: delete or anonymize every record tied to the subject.
+    // A dry run only reports what would be affected.
+    static async eraseSubject(identifiers, { dryRun = false, mode = process.env.ERASURE_MODE || 'delete', actor = null, route = null } = {}) {
+        const subject = this.normalizeIdentifiers(identifiers);
+        const records = await UserInfo.findBySubject(subject);
+
+        const recordIds = records.map(record => record._id);
+        const bySource = {};
+        for (const record of records) {
+            const source = record.tracking?.source || 'user-info';
+            bySource[source] = (bySource[source] || 0) + 1;
+        }
+        const affectedGroups = Object.keys(this.buildManifest(records))
+            .filter(group => records.some(record => record[group]));
+
+        const report = {
+            dryRun,
+            mode,
+            matched: records.length,
+            bySource,
+            fieldGroups: affectedGroups,
+            recordIds: recordIds.map(String)
+        };
+
+        if (dryRun || records.length === 0) {
+            return { ...report, affected: 0, audit: null };
+        }
+
+        const affected = mode === 'anonymize'
+            ? await UserInfo.anonymizeByIds(recordIds)
+            : await UserInfo.deleteByIds(recordIds);
+
+        // The audit entry names identifier types only, never the identifier values
+        const audit = await AuditLog.append({
+            type: 'erasure',
+            actor,
+            details: {
+                route,
+                identifierTypes: Object.keys(subject),
+                mode,
+                matched: records.length,
+                affected,
+                bySource,
+                fieldGroups: affectedGroups,
+                recordIds: report.recordIds
+            }
+        });
+
+        console.log(`🧹 Erasure completed: ${affected} records ${mode === 'anonymize' ? 'anonymized' : 'deleted'} (audit #${audit.seq})`);
+
+        WebhookService.emit('erasure.completed', {
+            mode,
+            identifierTypes: Object.keys(subject),
+            matched: records.length,
+            affected,
+            recordIds: report.recordIds,
+            audit: { seq: audit.seq, hash: audit.hash }
+        });
+
+        return {
+            ...report,
+            affected,
+            audit: { seq: audit.seq, hash: audit.hash, timestamp: audit.timestamp }
+        };
+    }
+
+    // Retention group covering a field (most specific match wins, otherwise the whole-record rule)
+    static getRetentionFor(path, policy = getRetentionPolicy()) {
+        let match = { group: 'record', field: '', days: policy.record.days };
+        for (const [group, rule] of Object.entries(policy)) {
+            for (const field of rule.fields) {
+                if ((path === field || path.startsWith(`${field}.`)) && field.length > match.field.length) {
+                    match = { group, field, days: rule.days };
+                }
+            }
+        }
+        return { group: match.group, days: match.days };
+    }
+
+    // Machine-readable disclosure of what the live configuration collects, why and for how long
+    static buildDisclosure({ siteKey = null, profileName = null } = {}) {
+        const profile = resolveProfile({ routeProfile: profileName, siteKey });
+        const policy = getRetentionPolicy();
+        const encryption = EncryptionService.describe();
+
+        const fields = [];
+        for (const [group, paths] of Object.entries(UserInfo.getFieldGroups())) {
+            const inventory = fieldGroups[group] || {};
+
+            for (const path of paths) {
+                const extractor = UserInfoService.getExtractorForField(path);
+                const retention = this.getRetentionFor(path, policy);
+                const collected = isFieldAllowed(profile.fields, path) &&
+                    (!extractor || profile.extractors.includes(extractor));
+
+                fields.push({
+                    field: path,
+                    group,
+                    collected,
+                    purpose: inventory.purpose || null,
+                    consentPurpose: extractor ? UserInfoService.getExtractorPurpose(extractor) : null,
+                    retentionGroup: retention.group,
+                    retentionDays: retention.days,
+                    encryptedAtRest: encryption.enabled && encryption.groups.includes(retention.group),
+                    thirdParties: thirdParties
+                        .filter(party => party.extractor === extractor)
+                        .map(party => party.name)
+                });
+            }
+        }
+
+        const contacted = thirdParties.filter(party => profile.extractors.includes(party.extractor));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            profile: {
+                name: profile.name,
+                description: profile.description || null,
+                extractors: profile.extractors
+            },
+            consentPurposes: ConsentService.purposes,
+            privacySignalsHonored: ['DNT', 'Sec-GPC'],
+            ipAnonymization: getAnonymizationMode(),
+            encryptionAtRest: { enabled: encryption.enabled, algorithm: encryption.algorithm },
+            fieldGroups: Object.fromEntries(Object.entries(fieldGroups).map(([group, inventory]) => [group, {
+                description: inventory.description,
+                purpose: inventory.purpose
+            }])),
+            fields,
+            retention: Object.entries(policy).map(([group, rule]) => ({
+                group,
+                description: rule.description,
+                retentionDays: rule.days
+            })),
+            thirdParties: contacted.map(party => ({
+                name: party.name,
+                endpoint: party.endpoint,
+                dataShared: party.dataShared,
+                purpose: party.purpose
+            }))
+        };
+    }
+}
+
+module.exports = PrivacyService;
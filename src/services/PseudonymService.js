@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { getKeyRing } = require('../config/pseudonymKeys');
+
+class PseudonymService {
+    // "<version>:<hmac>" so every pseudonym names the key that produced it
+    static pseudonymize(value, key = getKeyRing().active) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        const digest = crypto
+            .createHmac('sha256', key.secret)
+            .update(String(value))
+            .digest('hex');
+
+        return `${key.version}:${digest}`;
+    }
+
+    // Keys still usable for lookups: the active key plus retired keys inside their grace period
+    static getLookupKeys(now = new Date()) {
+        return getKeyRing().keys.filter(key => !key.lookupUntil || key.lookupUntil > now);
+    }
+
+    // Every pseudonym a value may be stored under
+    static lookupCandidates(value, now = new Date()) {
+        if (value === null || value === undefined || value === '') {
+            return [];
+        }
+        return this.getLookupKeys(now).map(key => this.pseudonymize(value, key));
+    }
+
+    // Public view of the key ring (no secrets)
+    static describeKeys() {
+        const { graceDays, keys, active } = getKeyRing();
+        return {
+            activeVersion: active.version,
+            graceDays,
+            keys: keys.map(key => ({
+                version: key.version,
+                retiredAt: key.retiredAt,
+                lookupUntil: key.lookupUntil
+            }))
+        };
+    }
+}
+
+module.exports = PseudonymService;
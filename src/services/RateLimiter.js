@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { RateLimitCounter } = require('../models/RateLimitCounter');
+const { getRateLimitConfig } = require('../config/rateLimits');
+
+let ephemeralSecret = null;
+
+// In-process store: counters keyed by "<key>:<windowStart>", swept once per minute
+class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map();
+        this.flags = new Map();
+        this.nextSweep = Date.now() + 60 * 1000;
+    }
+
+    static get storeName() {
+        return 'memory';
+    }
+
+    sweep(now) {
+        if (now < this.nextSweep) return;
+        for (const [id, counter] of this.counters) {
+            if (counter.expiresAt <= now) this.counters.delete(id);
+        }
+        for (const [key, expiresAt] of this.flags) {
+            if (expiresAt <= now) this.flags.delete(key);
+        }
+        this.nextSweep = now + 60 * 1000;
+    }
+
+    async increment(key, windowStart, windowMs) {
+        const now = Date.now();
+        this.sweep(now);
+
+        const id = `${key}:${windowStart}`;
+        const counter = this.counters.get(id) || { count: 0, expiresAt: windowStart + 2 * windowMs };
+        counter.count++;
+        this.counters.set(id, counter);
+        return counter.count;
+    }
+
+    async get(key, windowStart) {
+        return this.counters.get(`${key}:${windowStart}`)?.count || 0;
+    }
+
+    // Returns true when the flag was not already active
+    async flag(key, ttlMs) {
+        const wasFlagged = await this.isFlagged(key);
+        this.flags.set(key, Date.now() + ttlMs);
+        return !wasFlagged;
+    }
+
+    async isFlagged(key) {
+        return (this.flags.get(key) || 0) > Date.now();
+    }
+}
+
+const memoryStore = new MemoryRateLimitStore();
+
+class RateLimiter {
+    // RATE_LIMIT_STORE=mongo shares counters between instances; memory is used until Mongo is connected
+    static getStore() {
+        if (getRateLimitConfig().store === 'mongo' && mongoose.connection.readyState === 1) {
+            return RateLimitCounter;
+        }
+        return memoryStore;
+    }
+
+    // RATE_LIMIT_SECRET keys client addresses. It is separate from the pseudonym keys so that
+    // every instance derives the same counter keys and pseudonym key rotation does not reset budgets.
+    static getSecret() {
+        const { secret, store } = getRateLimitConfig();
+        if (secret) {
+            return secret;
+        }
+
+        // Counters keyed with a per-process secret are not shared between instances
+        if (!ephemeralSecret) {
+            console.warn(`⚠️ RATE_LIMIT_SECRET is not defined, using an ephemeral key${store === 'mongo' ? ': shared counters will not match across instances' : ''}`);
+            ephemeralSecret = crypto.randomBytes(32).toString('hex');
+        }
+        return ephemeralSecret;
+    }
+
+    // Counters may live in a shared collection, so client addresses are stored as an HMAC
+    static clientKey(ip) {
+        const digest = crypto.createHmac('sha256', this.getSecret()).update(String(ip || '')).digest('hex');
+        return `ip:${digest}`;
+    }
+
+    // API keys are limited per key, everyone else per client address
+    static getIdentity(req) {
+        if (req.auth) {
+            return req.auth.keyId ? `key:${req.auth.keyId}` : 'key:admin';
+        }
+        return this.clientKey(req.clientIp || req.ip);
+    }
+
+    // Route budget, with the caller key's own budget when RATE_LIMITS.keys defines one
+    static getBudget(name, req) {
+        const config = getRateLimitConfig();
+        const budget = config.budgets[name] || config.budgets.default;
+        const keyBudget = req.auth?.keyId ? config.keys[req.auth.keyId]?.[name] : null;
+        return { ...budget, ...(keyBudget || {}) };
+    }
+
+    // Sliding window counter: the previous window's count is weighted by how much of it still
+    // overlaps the sliding window, so memory per client stays constant regardless of traffic
+    static async consume(name, req) {
+        const config = getRateLimitConfig();
+        const store = this.getStore();
+        const identity = this.getIdentity(req);
+        const budget = this.getBudget(name, req);
+
+        const highThreat = await store.isFlagged(`threat:${this.clientKey(req.clientIp || req.ip)}`);
+        const limit = highThreat ? Math.max(1, Math.floor(budget.max * config.highThreatFactor)) : budget.max;
+
+        const now = Date.now();
+        const windowStart = now - (now % budget.windowMs);
+        const key = `${name}:${identity}`;
+
+        const [current, previous] = await Promise.all([
+            store.increment(key, windowStart, budget.windowMs),
+            store.get(key, windowStart - budget.windowMs)
+        ]);
+        const overlap = (budget.windowMs - (now - windowStart)) / budget.windowMs;
+        const used = Math.ceil(previous * overlap + current);
+
+        return {
+            allowed: used <= limit,
+            limit,
+            remaining: Math.max(0, limit - used),
+            resetSeconds: Math.ceil((windowStart + budget.windowMs - now) / 1000),
+            windowSeconds: Math.ceil(budget.windowMs / 1000),
+            highThreat
+        };
+    }
+
+    // Tighten every budget for a client assessed as High threat. Every High request extends the
+    // flag; returns true only when it starts a new one, so callers can act once per flag window.
+    static async flagHighThreat(ip) {
+        const { highThreatMinutes } = getRateLimitConfig();
+        try {
+            const flagged = await this.getStore().flag(`threat:${this.clientKey(ip)}`, highThreatMinutes * 60 * 1000);
+            if (flagged) {
+                console.log('🚦 Rate limits tightened for a high-threat client');
+            }
+            return flagged;
+        } catch (error) {
+            console.error('❌ Error flagging high-threat client:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = RateLimiter;
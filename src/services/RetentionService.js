@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { UserInfo } = require('../models/UserInfo');
+const { getRetentionPolicy } = require('../config/retention');
+const PseudonymService = require('./PseudonymService');
+const EncryptionService = require('./EncryptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let scrubInterval = null;
+let lastRun = null;
+
+class RetentionService {
+    // Null every field group that has outlived its retention period
+    static async scrubExpired(now = new Date()) {
+        const policy = getRetentionPolicy();
+        const scrubbed = {};
+
+        for (const [group, rule] of Object.entries(policy)) {
+            if (group === 'record' || rule.days === null || rule.fields.length === 0) {
+                continue;
+            }
+
+            const cutoff = new Date(now.getTime() - rule.days * DAY_MS);
+            scrubbed[group] = await UserInfo.scrubExpiredFields(group, rule.fields, cutoff);
+        }
+
+        // Pseudonyms from keys past their rotation grace period
+        const lookupVersions = PseudonymService.getLookupKeys(now).map(key => key.version);
+        scrubbed.stalePseudonyms = await UserInfo.dropStalePseudonyms(lookupVersions);
+
+        lastRun = { ranAt: now.toISOString(), scrubbed };
+
+        const total = Object.values(scrubbed).reduce((sum, count) => sum + count, 0);
+        if (total > 0) {
+            console.log(`🧽 Retention scrubber nulled expired fields on ${total} record groups`, scrubbed);
+        }
+
+        return lastRun;
+    }
+
+    // Run the scrubber in the background
+    static start(intervalMs = (parseInt(process.env.RETENTION_SCRUB_INTERVAL_MINUTES) || 60) * 60 * 1000) {
+        if (scrubInterval) {
+            return;
+        }
+
+        const run = () => {
+            // Skip the cycle while the database is not connected
+            if (mongoose.connection.readyState !== 1) {
+                return;
+            }
+            this.scrubExpired().catch(error => {
+                console.error('❌ Retention scrubber failed:', error.message);
+            });
+        };
+
+        scrubInterval = setInterval(run, intervalMs);
+        scrubInterval.unref();
+        console.log(`🧽 Retention scrubber running every ${Math.round(intervalMs / 60000)} minutes`);
+    }
+
+    static stop() {
+        if (scrubInterval) {
+            clearInterval(scrubInterval);
+            scrubInterval = null;
+        }
+    }
+
+    // Read-only view of the active policy for auditors
+    static describePolicy() {
+        const policy = getRetentionPolicy();
+
+        return {
+            groups: Object.entries(policy).map(([group, rule]) => ({
+                group,
+                description: rule.description,
+                retentionDays: rule.days,
+                keptIndefinitely: rule.days === null,
+                enforcement: group === 'record' ? 'ttl-index' : 'scrubber',
+                fields: rule.fields
+            })),
+            pseudonymization: PseudonymService.describeKeys(),
+            encryption: EncryptionService.describe(),
+            scrubber: {
+                running: !!scrubInterval,
+                lastRun
+            }
+        };
+    }
+}
+
+module.exports = RetentionService;
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, '..', 'data', 'sandboxFixtures.json');
+
+// Transport headers the caller keeps in sandbox mode; every other header comes from the fixture
+const PRESERVED_HEADERS = ['host', 'content-type', 'content-length', 'authorization', 'x-consent-token', 'x-site-key', 'origin'];
+
+let cachedFixtures = null;
+
+class SandboxService {
+    // SANDBOX_MODE=true turns every collection request into a sandbox request
+    static isEnabledByConfig() {
+        return process.env.SANDBOX_MODE === 'true';
+    }
+
+    // Fixture catalogue from SANDBOX_FIXTURES_FILE or the bundled src/data/sandboxFixtures.json
+    static getFixtures() {
+        if (cachedFixtures) {
+            return cachedFixtures;
+        }
+
+        const file = process.env.SANDBOX_FIXTURES_FILE || DEFAULT_FIXTURES_FILE;
+        try {
+            const { fixtures } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            cachedFixtures = (fixtures || []).filter(fixture => fixture.name && fixture.ip && fixture.headers);
+        } catch (error) {
+            console.error(`❌ Failed to load sandbox fixtures from ${file}:`, error.message);
+            cachedFixtures = [];
+        }
+        return cachedFixtures;
+    }
+
+    // Named fixture, or a random one when no name is given
+    static pickFixture(name = null) {
+        const fixtures = this.getFixtures();
+        if (name) {
+            return fixtures.find(fixture => fixture.name === name) || null;
+        }
+        return fixtures[Math.floor(Math.random() * fixtures.length)] || null;
+    }
+
+    // Replace the caller's identity with the fixture's: client address and request headers
+    static applyFixture(req, fixture) {
+        const preserved = Object.fromEntries(
+            PRESERVED_HEADERS.filter(header => req.headers[header] !== undefined).map(header => [header, req.headers[header]])
+        );
+
+        req.headers = { ...fixture.headers, ...preserved };
+        req.clientIp = fixture.ip;
+        req.ipResolution = { source: 'sandbox', trustedHops: 0, mismatch: false, reasons: [] };
+    }
+
+    static describeFixtures() {
+        return this.getFixtures().map(fixture => ({
+            name: fixture.name,
+            description: fixture.description || null,
+            ip: fixture.ip,
+            userAgent: fixture.headers['user-agent'] || null
+        }));
+    }
+}
+
+module.exports = SandboxService;
@@ -0,0 +1,313 @@
+const path = require('path');
+const { THREAT_SIGNALS } = require('../config/requestSchemas');
+const { validateAgainst } = require('../middleware/validationMiddleware');
+const { watchDataFile } = require('../utils/watchedDataFile');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'threatRules.json');
+const DEFAULT_RULES = require('../config/threatRules.json');
+
+const LEVELS = ['Low', 'Medium', 'High'];
+
+// Plain-object deep merge; arrays and scalars in `override` replace those in `base`
+const mergeRules = (base, override) => {
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+        return override === undefined ? base : override;
+    }
+
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = base && typeof base[key] === 'object' && !Array.isArray(base[key])
+            ? mergeRules(base[key], value)
+            : value;
+    }
+    return merged;
+};
+
+// Client/server consistency checks (ConsistencyAnalyzer): null when the check could not run
+const mismatch = (check, config, reason) => {
+    if (!check) return null;
+    return !check.consistent && {
+        points: config.weight,
+        value: check.client,
+        detail: check.detail,
+        reason
+    };
+};
+
+// Each signal reads the request facts and returns { points, value, detail, reason } when it fires,
+// false when it does not, or null when the fact is not available for this request.
+// `context.level` is the level the signals scored so far add up to.
+const SIGNALS = {
+    proxy: (facts, config) => facts.isProxy && {
+        points: config.weight,
+        detail: `Proxy headers: ${(facts.proxyHeaders || []).join(', ') || 'present'}`,
+        reason: 'Using proxy/VPN'
+    },
+    tor: (facts, config) => facts.isTor && {
+        points: config.weight,
+        detail: `Address is on the Tor exit list${facts.torListVersion ? ` (version ${facts.torListVersion})` : ''}`,
+        reason: 'Tor exit node'
+    },
+    vpn: (facts, config) => (facts.ipCategories || []).includes('vpn') && {
+        points: config.weight,
+        detail: `Address is in a known VPN range${facts.provider ? ` (${facts.provider})` : ''}`,
+        reason: 'Known VPN range'
+    },
+    datacenter: (facts, config) => (facts.ipCategories || []).includes('hosting') && {
+        points: config.weight,
+        detail: `Address is in a hosting range${facts.provider ? ` (${facts.provider})` : ''}`,
+        reason: 'Datacenter address'
+    },
+    bot: (facts, config) => {
+        if (!facts.bot) return false;
+        const points = config.weights?.[facts.bot.severity] || 0;
+        return points > 0 && {
+            points,
+            value: facts.bot.severity,
+            detail: `Bot class ${facts.bot.category} (severity ${facts.bot.severity})`,
+            reason: facts.bot.category === 'impostor' ? 'Crawler impostor' : `Automated client detected (${facts.bot.category})`
+        };
+    },
+    headerAnomalies: (facts, config) => {
+        const anomalies = facts.suspiciousHeaders || [];
+        return anomalies.length > 0 && {
+            points: Math.min(config.max ?? Infinity, anomalies.length * config.weight),
+            value: anomalies.length,
+            detail: anomalies.join(', '),
+            reason: 'Suspicious headers present'
+        };
+    },
+    forwardingMismatch: (facts, config) => facts.forwardingMismatch && {
+        points: config.weight,
+        detail: (facts.forwardingReasons || []).join('; ') || 'Forwarding headers disagree with the resolved address',
+        reason: 'Forwarding header mismatch'
+    },
+    // Fires when any counted window reaches its limit in `limits` ({ ip|prefix|asn: { minute, hour, day } })
+    velocity: (facts, config) => {
+        if (!facts.velocity) return null;
+
+        const exceeded = [];
+        for (const [dimension, limits] of Object.entries(config.limits || {})) {
+            const counts = facts.velocity[dimension];
+            if (!counts) continue;
+            for (const [window, limit] of Object.entries(limits)) {
+                if (counts[window] >= limit) {
+                    exceeded.push(`${dimension}${counts.key ? ` ${counts.key}` : ''}: ${counts[window]} per ${window} (limit ${limit})`);
+                }
+            }
+        }
+
+        return exceeded.length > 0 && {
+            points: config.weight,
+            value: exceeded.length,
+            detail: exceeded.join('; '),
+            reason: 'High request velocity'
+        };
+    },
+    timezoneMismatch: (facts, config) => mismatch(facts.consistency?.timezone, config, 'Timezone does not match address location'),
+    platformMismatch: (facts, config) => mismatch(facts.consistency?.platform, config, 'User-Agent platform mismatch'),
+    languageMismatch: (facts, config) => mismatch(facts.consistency?.language, config, 'Browser language mismatch'),
+    // A solved proof-of-work challenge takes its weight off the score, but only when it was issued
+    // for at least the level the request scores without it: a pass solved cheaply while the client
+    // looked Low does not cover High requests. Scored last, so `context.level` covers every other signal.
+    challengePass: (facts, config, context) => {
+        const pass = facts.challengePass;
+        if (!pass) return false;
+        if (LEVELS.indexOf(pass.level) < LEVELS.indexOf(context.level)) {
+            return { points: 0, value: pass.level };
+        }
+        return {
+            points: -config.weight,
+            value: pass.level,
+            detail: `Proof-of-work pass for a ${pass.level} challenge (difficulty ${pass.difficulty})`,
+            reason: 'Proof-of-work pass presented'
+        };
+    }
+};
+
+// Rules must be valid against the threatRules schema and keep medium below high
+const checkRules = (rules) => {
+    const errors = validateAgainst('threatRules', rules) || [];
+    const check = (thresholds, at) => {
+        if (thresholds && thresholds.medium >= thresholds.high) {
+            errors.push({ path: `${at}thresholds`, message: 'medium must be lower than high' });
+        }
+    };
+
+    check(rules.thresholds, '');
+    for (const [siteKey, site] of Object.entries(rules.sites || {})) {
+        check(mergeRules(rules.thresholds, site.thresholds), `sites.${siteKey}.`);
+    }
+    return errors.length > 0 ? errors : null;
+};
+
+let rulesFile = null;
+
+class ThreatScoringService {
+    static get signals() {
+        return THREAT_SIGNALS;
+    }
+
+    // Active rules: THREAT_RULES_FILE (default config/threatRules.json), reloaded when it changes.
+    // An invalid file is reported and the bundled defaults are used instead.
+    static getActiveRules() {
+        if (!rulesFile) {
+            rulesFile = watchDataFile(process.env.THREAT_RULES_FILE || DEFAULT_RULES_FILE, (contents) => {
+                const rules = mergeRules(DEFAULT_RULES, JSON.parse(contents));
+                const errors = checkRules(rules);
+                if (errors) {
+                    throw new Error(`invalid rules: ${errors.map(error => `${error.path} ${error.message}`).join(', ')}`);
+                }
+                return rules;
+            }, { label: 'threat rules', empty: DEFAULT_RULES });
+        }
+
+        const state = rulesFile.get();
+        return { rules: state.data, version: state.version, error: state.error };
+    }
+
+    // Candidate rules are merged over the active ones, so a dry run can change a single weight
+    static buildCandidate(candidate) {
+        const rules = mergeRules(this.getActiveRules().rules, candidate);
+        return { rules, errors: checkRules(rules) };
+    }
+
+    // A site's overrides, or null. Site keys come from the X-Site-Key header, so only own keys
+    // count ("constructor" must not resolve to Object.prototype members).
+    static getSiteRules(rules, siteKey = null) {
+        const sites = rules.sites || {};
+        return siteKey && Object.hasOwn(sites, siteKey) ? sites[siteKey] : null;
+    }
+
+    // The rule set with the site's overrides applied
+    static resolveRules(rules, siteKey = null) {
+        const site = this.getSiteRules(rules, siteKey);
+        return site ? mergeRules(rules, site) : rules;
+    }
+
+    static getLevel(score, thresholds) {
+        if (score >= thresholds.high) return 'High';
+        if (score >= thresholds.medium) return 'Medium';
+        return 'Low';
+    }
+
+    // Score request facts under a rule set, itemizing every signal
+    static evaluate(facts, { siteKey = null, rules = null, version = null } = {}) {
+        const active = rules ? { rules, version } : this.getActiveRules();
+        const resolved = this.resolveRules(active.rules, siteKey);
+
+        const breakdown = [];
+        const reasons = [];
+        let score = 0;
+
+        for (const signal of THREAT_SIGNALS) {
+            const config = resolved.signals[signal] || {};
+            if (config.enabled === false) {
+                breakdown.push({ signal, status: 'disabled', points: 0, value: null, detail: null });
+                continue;
+            }
+
+            const result = SIGNALS[signal](facts, config, { level: this.getLevel(score, resolved.thresholds) });
+            if (result === null) {
+                breakdown.push({ signal, status: 'unavailable', points: 0, value: null, detail: null });
+            } else if (!result || !result.points) {
+                breakdown.push({ signal, status: 'clear', points: 0, value: result ? result.value ?? null : null, detail: null });
+            } else {
+                score += result.points;
+                reasons.push(result.reason);
+                breakdown.push({ signal, status: 'triggered', points: result.points, value: result.value ?? null, detail: result.detail });
+            }
+        }
+
+        score = Math.max(0, score);
+        const level = this.getLevel(score, resolved.thresholds);
+        return {
+            score,
+            level,
+            reasons,
+            recommendation: resolved.recommendations[level],
+            breakdown,
+            rulesVersion: active.version,
+            site: this.getSiteRules(active.rules, siteKey) ? siteKey : null,
+            inputs: facts
+        };
+    }
+
+    // Facts for a stored record: the inputs saved with its score, or (for older records)
+    // what can be recovered from its security block
+    static factsFromRecord(record) {
+        if (record.security?.threatLevel?.inputs) {
+            return record.security.threatLevel.inputs;
+        }
+
+        const security = record.security || {};
+        return {
+            isProxy: !!security.isProxy,
+            proxyHeaders: [],
+            isTor: !!security.isTor?.isTor,
+            torListVersion: security.isTor?.listVersion || null,
+            ipCategories: security.isVPN?.ipCategories || [],
+            provider: security.isVPN?.provider || null,
+            bot: security.isBot?.isBot && security.isBot.severity
+                ? { severity: security.isBot.severity, category: security.isBot.category }
+                : null,
+            suspiciousHeaders: security.headers?.suspiciousHeaders || [],
+            forwardingMismatch: !!record.network?.ipResolution?.mismatch,
+            forwardingReasons: record.network?.ipResolution?.reasons || [],
+            velocity: null,
+            consistency: null
+        };
+    }
+
+    // Re-score stored records under the active and a candidate rule set and report what would change
+    static replay(records, candidate, { siteKey = null, sampleSize = 50 } = {}) {
+        const active = this.getActiveRules();
+        const levelCounts = () => Object.fromEntries(LEVELS.map(level => [level, 0]));
+        const summary = {
+            evaluated: 0,
+            active: { rulesVersion: active.version, levels: levelCounts(), averageScore: 0 },
+            candidate: { levels: levelCounts(), averageScore: 0 },
+            changed: 0,
+            transitions: {},
+            samples: []
+        };
+
+        for (const record of records) {
+            if (!record.security) continue;
+
+            const facts = this.factsFromRecord(record);
+            const before = this.evaluate(facts, { siteKey, ...active });
+            const after = this.evaluate(facts, { siteKey, rules: candidate, version: 'candidate' });
+
+            summary.evaluated++;
+            summary.active.levels[before.level]++;
+            summary.candidate.levels[after.level]++;
+            summary.active.averageScore += before.score;
+            summary.candidate.averageScore += after.score;
+
+            if (before.level !== after.level) {
+                const transition = `${before.level} -> ${after.level}`;
+                summary.changed++;
+                summary.transitions[transition] = (summary.transitions[transition] || 0) + 1;
+
+                if (summary.samples.length < sampleSize) {
+                    summary.samples.push({
+                        recordId: record._id,
+                        timestamp: record.timestamp || null,
+                        from: { level: before.level, score: before.score },
+                        to: { level: after.level, score: after.score },
+                        breakdown: after.breakdown.filter(item => item.status === 'triggered')
+                    });
+                }
+            }
+        }
+
+        if (summary.evaluated > 0) {
+            summary.active.averageScore = Math.round(summary.active.averageScore / summary.evaluated * 10) / 10;
+            summary.candidate.averageScore = Math.round(summary.candidate.averageScore / summary.evaluated * 10) / 10;
+        }
+        return summary;
+    }
+}
+
+module.exports = ThreatScoringService;
@@ -0,0 +1,102 @@
+const path = require('path');
+const { ipToBigInt } = require('../utils/ip');
+const { watchDataFile } = require('../utils/watchedDataFile');
+
+const DEFAULT_LIST_FILE = path.join(__dirname, '..', 'data', 'tor-exit-nodes.txt');
+
+// A list older than this is still used, but reported as stale
+const DEFAULT_MAX_AGE_HOURS = 48;
+
+// Canonical lookup key, so "2001:db8::1" and "2001:0db8:0:0::1" match the same entry
+const toKey = (ip) => {
+    const parsed = ipToBigInt(ip);
+    return parsed ? `${parsed.version}:${parsed.value}` : null;
+};
+
+// Accepts the bulk exit list (one address per line, https://check.torproject.org/torbulkexitlist)
+// and the exit-addresses format ("ExitAddress <ip> <date> <time>", https://check.torproject.org/exit-addresses).
+// Lines starting with # are comments; "# Published: <ISO date>" records when the list was generated.
+const parseExitList = (contents) => {
+    const addresses = new Set();
+    let publishedAt = null;
+
+    for (const rawLine of contents.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const published = line.match(/^#\s*Published:\s*(.+)$/i);
+        if (published) {
+            const date = new Date(published[1]);
+            publishedAt = isNaN(date) ? publishedAt : date;
+            continue;
+        }
+        if (line.startsWith('#')) continue;
+
+        const parts = line.split(/\s+/);
+        if (parts[0] === 'Published' || parts[0] === 'LastStatus') {
+            const date = new Date(`${parts[1]}T${parts[2]}Z`);
+            if (!isNaN(date) && (!publishedAt || date > publishedAt)) publishedAt = date;
+            continue;
+        }
+
+        const key = toKey(parts[0] === 'ExitAddress' ? parts[1] : parts[0]);
+        if (key) addresses.add(key);
+    }
+
+    return { addresses, publishedAt };
+};
+
+let exitList = null;
+
+class TorExitListService {
+    static getList() {
+        if (!exitList) {
+            exitList = watchDataFile(process.env.TOR_EXIT_LIST_FILE || DEFAULT_LIST_FILE, parseExitList, {
+                label: 'Tor exit list',
+                empty: { addresses: new Set(), publishedAt: null }
+            });
+        }
+        return exitList;
+    }
+
+    static getMaxAgeHours() {
+        const hours = Number(process.env.TOR_EXIT_LIST_MAX_AGE_HOURS);
+        return hours > 0 ? hours : DEFAULT_MAX_AGE_HOURS;
+    }
+
+    // Hours since the list was generated (or, without a Published date, since the file changed)
+    static getAgeHours(state = this.getList().get()) {
+        const since = state.data.publishedAt || state.modifiedAt;
+        return since ? Math.round((Date.now() - since.getTime()) / (60 * 60 * 1000) * 10) / 10 : null;
+    }
+
+    static lookup(ip) {
+        const state = this.getList().get();
+        const key = toKey(ip);
+
+        return {
+            isExitNode: !!key && state.data.addresses.has(key),
+            listVersion: state.version,
+            listAgeHours: this.getAgeHours(state)
+        };
+    }
+
+    static describe() {
+        const state = this.getList().get();
+        const ageHours = this.getAgeHours(state);
+
+        return {
+            file: this.getList().file,
+            loaded: state.version !== null,
+            version: state.version,
+            entries: state.data.addresses.size,
+            publishedAt: state.data.publishedAt,
+            modifiedAt: state.modifiedAt,
+            ageHours,
+            stale: ageHours === null || ageHours > this.getMaxAgeHours(),
+            error: state.error
+        };
+    }
+}
+
+module.exports = TorExitListService;
@@ -1,4 +1,3 @@
-const requestIp = require('request-ip');
 const UAParser = require('ua-parser-js');
 const geoip = require('geoip-lite');
 const axios = require('axios');
@@ -6,63 +5,227 @@ const useragent = require('useragent');
 const MobileDetect = require('mobile-detect');
 const fastGeoip = require('fast-geoip');
 const DeviceDetector = require('device-detector-js');
+const { anonymizeIP, anonymizeIPList, normalizeIP } = require('../utils/ip');
+const { isFieldAllowed, pickFields } = require('../utils/fields');
+const { resolveProfile } = require('../config/collectionProfiles');
+const { UserInfo } = require('../models/UserInfo');
+const ClientIpService = require('./ClientIpService');
+const RateLimiter = require('./RateLimiter');
+const TorExitListService = require('./TorExitListService');
+const IpIntelligenceService = require('./IpIntelligenceService');
+const BotDetectionService = require('./BotDetectionService');
+const ThreatScoringService = require('./ThreatScoringService');
+const WebhookService = require('./WebhookService');
+const PseudonymService = require('./PseudonymService');
+const ChallengeService = require('./ChallengeService');
+const VelocityTracker = require('./VelocityTracker');
+const ConsistencyAnalyzer = require('./ConsistencyAnalyzer');
+
+// Extractors that need no consent purpose
+const ESSENTIAL_EXTRACTORS = ['network', 'browser', 'system'];
+
+// Extractors that only run when the visitor granted the matching consent purpose
+const PURPOSE_EXTRACTORS = {
+    analytics: ['device', 'fingerprint', 'behavior'],
+    security: ['security'],
+    location: ['geolocation', 'browserLocation']
+};
+
+const ALL_EXTRACTORS = [...ESSENTIAL_EXTRACTORS, ...Object.values(PURPOSE_EXTRACTORS).flat()];
+
+// Field path each extractor fills; an extractor only runs when its profile allows some of it
+const EXTRACTOR_FIELDS = {
+    network: 'network',
+    device: 'device',
+    geolocation: 'geolocation',
+    browserLocation: 'device.browserLocation',
+    browser: 'browser',
+    system: 'system',
+    fingerprint: 'fingerprint',
+    security: 'security',
+    behavior: 'tracking.userBehavior'
+};
+
+// Extractors switched off when the browser sends DNT: 1 or Sec-GPC: 1
+const SIGNAL_BLOCKED_EXTRACTORS = ['fingerprint', 'geolocation', 'browserLocation', 'behavior'];
 
 class UserInfoService {
-    static async collectUserInfo(req, frontendData = {}) {
+    static async collectUserInfo(req, frontendData = {}, consent = req.consent, profile = req.collectionProfile || resolveProfile()) {
         const userAgent = req.headers['user-agent'] || '';
         
-        // Extract real IP (demo mode is handled inside extractRealIP)
+        // Resolved client address (a fixture address in sandbox mode)
         const ip = this.extractRealIP(req);
         
-        console.log(`🔍 Processing request for IP: ${ip}`);
+        console.log(`🔍 Processing request for IP: ${anonymizeIP(ip)}`);
         console.log(`📱 User-Agent: ${userAgent}`);
+
+        // Only run the extractors allowed by the collection profile, consent and privacy signals
+        const signals = this.getPrivacySignals(req);
+        const { enabled, skipped } = this.resolveExtractors(consent, signals, profile);
+        const run = (extractor, extract) => enabled.has(extractor) ? extract() : null;
+        const deviceData = enabled.has('browserLocation') ? frontendData : { ...frontendData, browserLocation: null };
         
         const [networkInfo, deviceInfo, geolocation, browserInfo, systemInfo, fingerprint, securityInfo] = await Promise.all([
-            this.extractNetworkInfo(req, ip),
-            this.extractAdvancedDeviceInfo(userAgent, frontendData),
-            this.extractPreciseGeolocation(ip),
-            this.extractAdvancedBrowserInfo(userAgent),
-            this.extractSystemInfo(userAgent),
-            this.generateDeviceFingerprint(req, userAgent, frontendData),
-            this.extractSecurityInfo(req, ip)
+            run('network', () => this.extractNetworkInfo(req, ip)),
+            run('device', () => this.extractAdvancedDeviceInfo(userAgent, deviceData)),
+            run('geolocation', () => this.extractPreciseGeolocation(ip)),
+            run('browser', () => this.extractAdvancedBrowserInfo(userAgent)),
+            run('system', () => this.extractSystemInfo(userAgent)),
+            run('fingerprint', () => this.generateDeviceFingerprint(req, userAgent, frontendData)),
+            // The enforcement gate has already assessed this request
+            run('security', () => req.enforcement?.security || this.extractSecurityInfo(req, ip))
         ]);
 
+        // High-threat clients get tightened rate limits, whether or not the security block is
+        // collected. threat.high is sent once per flag window, not for every High request.
+        const threatLevel = securityInfo?.threatLevel || this.calculateThreatLevel(req, ip);
+        if (threatLevel.level === 'High' && !req.sandbox && await RateLimiter.flagHighThreat(ip)) {
+            WebhookService.emit('threat.high', {
+                ip: PseudonymService.pseudonymize(normalizeIP(ip)),
+                route: `${req.method} ${req.baseUrl}${req.path}`,
+                score: threatLevel.score,
+                level: threatLevel.level,
+                reasons: threatLevel.reasons,
+                breakdown: threatLevel.breakdown.filter(item => item.status === 'triggered'),
+                rulesVersion: threatLevel.rulesVersion,
+                site: threatLevel.site
+            });
+        }
+
+        // Geolocation and security checks above used the full address in memory;
+        // only the anonymized form leaves this method
+        if (networkInfo) {
+            networkInfo.ip = anonymizeIP(ip);
+            networkInfo.xForwardedFor = anonymizeIPList(networkInfo.xForwardedFor);
+            networkInfo.xRealIp = anonymizeIP(networkInfo.xRealIp);
+        }
+
         const timestamp = new Date().toISOString();
+        const hasConsent = !!consent?.valid;
+        const honorsSignals = signals.honored.length > 0;
+
+        // Tracking fields are computed one by one so the profile can leave any of them out
+        const trackingExtractors = {
+            sessionId: () => this.generateSessionId(req),
+            visitCount: () => this.getVisitCount(ip),
+            firstSeen: () => this.getFirstSeen(ip),
+            lastSeen: () => timestamp,
+            referrer: () => req.headers.referer || null,
+            userBehavior: () => run('behavior', () => this.analyzeUserBehavior(req, frontendData))
+        };
+        const tracking = {};
+        for (const [field, extract] of Object.entries(trackingExtractors)) {
+            if (isFieldAllowed(profile.fields, `tracking.${field}`)) {
+                tracking[field] = await extract();
+            }
+        }
 
-        return {
-            timestamp,
+        const collected = pickFields({
             network: networkInfo,
             device: deviceInfo,
             geolocation,
             browser: browserInfo,
             system: systemInfo,
             fingerprint,
-            security: securityInfo,
-            tracking: {
-                sessionId: this.generateSessionId(req),
-                visitCount: await this.getVisitCount(ip),
-                firstSeen: await this.getFirstSeen(ip),
-                lastSeen: timestamp,
-                referrer: req.headers.referer || null,
-                userBehavior: this.analyzeUserBehavior(req, frontendData)
+            security: securityInfo
+        }, profile.fields);
+
+        const userData = {
+            timestamp,
+            network: collected.network || null,
+            device: collected.device || null,
+            geolocation: collected.geolocation || null,
+            browser: collected.browser || null,
+            system: collected.system || null,
+            fingerprint: collected.fingerprint || null,
+            security: collected.security || null,
+            tracking,
+            consent: hasConsent ? {
+                consentId: consent.consentId,
+                purposes: consent.purposes
+            } : null,
+            privacy: {
+                profile: profile.name,
+                consentId: hasConsent ? consent.consentId : null,
+                purposes: hasConsent ? consent.purposes : [],
+                downgraded: !!consent?.downgraded || !hasConsent,
+                signalsHonored: signals.honored,
+                extractors: [...enabled],
+                skipped,
+                persist: hasConsent && !honorsSignals
             }
         };
+
+        // The full address is only needed to key the stored pseudonym (see UserInfo.saveToDatabase).
+        // It is non-enumerable so it never reaches a response, a log or a spread copy of userData.
+        Object.defineProperty(userData, 'subjectIp', { value: normalizeIP(ip) || null, enumerable: false });
+        return userData;
+    }
+
+    // Work out which extractors may run: the collection profile sets the ceiling,
+    // consent purposes and DNT / GPC signals can only narrow it
+    static resolveExtractors(consent, signals = { honored: [] }, profile = resolveProfile()) {
+        const purposes = consent?.valid ? consent.purposes : [];
+        const enabled = new Set();
+        const skipped = [];
+
+        for (const extractor of ALL_EXTRACTORS) {
+            const purpose = this.getExtractorPurpose(extractor);
+
+            if (!profile.extractors.includes(extractor) || !isFieldAllowed(profile.fields, EXTRACTOR_FIELDS[extractor])) {
+                skipped.push({ extractor, reason: `profile ${profile.name}` });
+            } else if (purpose && !purposes.includes(purpose)) {
+                skipped.push({ extractor, reason: 'consent' });
+            } else if (signals.honored.length > 0 && SIGNAL_BLOCKED_EXTRACTORS.includes(extractor)) {
+                // DNT / GPC switch off tracking-style extractors even when consent was granted
+                skipped.push({ extractor, reason: signals.honored.join(', ') });
+            } else {
+                enabled.add(extractor);
+            }
+        }
+
+        return { enabled, skipped };
     }
 
-    static extractRealIP(req) {
-        // Check if demo mode is enabled
-        if (req.headers['x-demo-mode'] === 'true') {
-            return '8.8.8.8'; // Use Google's DNS for demo
+    // Whether the request's address may be geolocated: the same profile, location consent and
+    // DNT / GPC rules as the geolocation extractor (requests without a consent check may not)
+    static mayGeolocate(req) {
+        const profile = req.collectionProfile || resolveProfile();
+        return this.resolveExtractors(req.consent, this.getPrivacySignals(req), profile).enabled.has('geolocation');
+    }
+
+    // Consent purpose an extractor needs (null = none)
+    static getExtractorPurpose(extractor) {
+        return Object.keys(PURPOSE_EXTRACTORS)
+            .find(purpose => PURPOSE_EXTRACTORS[purpose].includes(extractor)) || null;
+    }
+
+    // Extractor that fills a stored field path (null = filled by the service itself)
+    static getExtractorForField(path) {
+        let match = null;
+        for (const [extractor, field] of Object.entries(EXTRACTOR_FIELDS)) {
+            if ((path === field || path.startsWith(`${field}.`)) && (!match || field.length > EXTRACTOR_FIELDS[match].length)) {
+                match = extractor;
+            }
         }
-        
-        return requestIp.getClientIp(req) || 
-               req.headers['cf-connecting-ip'] || 
-               req.headers['x-real-ip'] || 
-               req.headers['x-forwarded-for']?.split(',')[0] || 
-               req.connection?.remoteAddress || 
-               req.socket?.remoteAddress ||
-               req.ip ||
-               '127.0.0.1';
+        return match;
+    }
+
+    // Do-Not-Track and Global Privacy Control request headers
+    static getPrivacySignals(req) {
+        const dnt = req.headers['dnt'] === '1';
+        const gpc = req.headers['sec-gpc'] === '1';
+
+        return {
+            dnt,
+            gpc,
+            honored: [dnt ? 'DNT' : null, gpc ? 'Sec-GPC' : null].filter(Boolean)
+        };
+    }
+
+    static extractRealIP(req) {
+        // Resolved through trusted proxies only (see ClientIpService)
+        return req.clientIp || ClientIpService.resolve(req).ip;
     }
 
     static async extractNetworkInfo(req, overrideIp = null) {
@@ -81,12 +244,15 @@ class UserInfoService {
             referer: req.headers.referer,
             xForwardedFor: req.headers['x-forwarded-for'],
             xRealIp: req.headers['x-real-ip'],
+            // How the client address was resolved and whether the forwarding headers disagreed with it
+            ipResolution: req.ipResolution || ClientIpService.resolve(req).resolution,
             xForwardedProto: req.headers['x-forwarded-proto'],
             xForwardedHost: req.headers['x-forwarded-host'],
             authorization: req.headers.authorization ? 'Present (Hidden)' : null,
             cookie: req.headers.cookie ? 'Present (Hidden)' : null,
             cacheControl: req.headers['cache-control'],
             dnt: req.headers['dnt'], // Do Not Track
+            secGpc: req.headers['sec-gpc'], // Global Privacy Control
             upgradeInsecureRequests: req.headers['upgrade-insecure-requests'],
             secFetchSite: req.headers['sec-fetch-site'],
             secFetchMode: req.headers['sec-fetch-mode'],
@@ -336,7 +502,8 @@ class UserInfoService {
 
     static async extractPreciseGeolocation(ip) {
         try {
-            if (ip === '127.0.0.1' || ip === '::1' || ip.startsWith('192.168.') || ip.startsWith('10.')) {
+            // Private, loopback and reserved addresses (IpIntelligenceService range files)
+            if (IpIntelligenceService.isNonPublic(ip)) {
                 return {
                     country: 'Local',
                     region: 'Local',
@@ -350,7 +517,7 @@ class UserInfoService {
                 };
             }
 
-            console.log(`🌍 Getting location for IP: ${ip}`);
+            console.log(`🌍 Getting location for IP: ${anonymizeIP(ip)}`);
             
             const results = await Promise.allSettled([
                 this.getLocationFromIpapi(ip),
@@ -647,7 +814,7 @@ class UserInfoService {
             isProxy: this.detectProxy(req).isProxy,
             isVPN: this.detectVPN(req, ip),
             isTor: this.detectTor(ip),
-            isBot: this.detectBot(req.headers['user-agent']),
+            isBot: this.detectBot(req.headers['user-agent'], ip),
             threatLevel: this.calculateThreatLevel(req, ip),
             ssl: {
                 protocol: req.protocol,
@@ -711,106 +878,93 @@ class UserInfoService {
             userAgent.includes(indicator)
         );
 
-        // Check for known VPN IP ranges (simplified)
-        const isKnownVpnRange = this.checkVpnIpRanges(ip);
+        // Known VPN and hosting ranges from the local range files; most VPN exits sit in datacenters
+        const ranges = IpIntelligenceService.lookup(ip);
 
         return {
-            likely: hasVpnIndicator || isKnownVpnRange,
+            likely: hasVpnIndicator || ranges.isVPN || ranges.isHosting,
             indicators: vpnIndicators.filter(indicator => userAgent.includes(indicator)),
-            confidence: (hasVpnIndicator ? 30 : 0) + (isKnownVpnRange ? 70 : 0)
+            confidence: Math.min(100, (hasVpnIndicator ? 30 : 0) + (ranges.isVPN ? 70 : ranges.isHosting ? 40 : 0)),
+            ipCategories: ranges.categories,
+            provider: ranges.provider
         };
     }
 
-    static checkVpnIpRanges(ip) {
-        // Simplified VPN detection - in production, use a VPN detection service
-        const knownVpnRanges = [
-            '10.0.0.0/8',
-            '172.16.0.0/12',
-            '192.168.0.0/16'
-        ];
-        
-        // This is a basic implementation - you'd want a proper IP range checker
-        return ip.startsWith('10.') || ip.startsWith('172.') || ip.startsWith('192.168.');
-    }
-
+    // Checked against the local exit list (TorExitListService); the list version is kept with the result
     static detectTor(ip) {
-        // Tor detection would require a Tor exit node list
-        // This is a placeholder - in production, check against Tor exit node lists
+        const { isExitNode, listVersion, listAgeHours } = TorExitListService.lookup(ip);
+
+        let note = null;
+        if (!listVersion) {
+            note = 'Tor exit list not loaded';
+        } else if (listAgeHours > TorExitListService.getMaxAgeHours()) {
+            note = `Tor exit list is ${listAgeHours} hours old`;
+        }
+
         return {
-            isTor: false,
-            confidence: 0,
-            note: 'Tor detection requires exit node database'
+            isTor: isExitNode,
+            confidence: isExitNode ? 95 : 0,
+            note,
+            listVersion,
+            listAgeHours
         };
     }
 
-    static detectBot(userAgent) {
-        const botPatterns = [
-            /bot/i, /crawler/i, /spider/i, /scraper/i,
-            /google/i, /bing/i, /yahoo/i, /facebook/i,
-            /twitter/i, /linkedin/i, /whatsapp/i,
-            /curl/i, /wget/i, /python/i, /java/i,
-            /postman/i, /insomnia/i, /httpie/i
-        ];
-
-        const matchedPatterns = botPatterns.filter(pattern => pattern.test(userAgent));
+    // Rule-driven classification (src/data/bot-rules.json); crawler claims are checked against
+    // the crawler's published address ranges
+    static detectBot(userAgent, ip = null) {
+        const { isBot, matches, primary, verifiedCrawler, rulesVersion } = BotDetectionService.classify(userAgent, ip);
 
         return {
-            isBot: matchedPatterns.length > 0,
-            matchedPatterns: matchedPatterns.map(p => p.toString()),
-            confidence: Math.min(100, matchedPatterns.length * 25),
-            type: this.classifyBotType(userAgent)
+            isBot,
+            matchedPatterns: matches.map(match => match.rule),
+            confidence: verifiedCrawler?.verified ? 100 : Math.min(100, matches.length * 50),
+            type: primary ? primary.label || 'Unknown Bot' : null,
+            category: primary ? primary.category : null,
+            severity: primary ? primary.severity : null,
+            verifiedCrawler,
+            matches,
+            rulesVersion
         };
     }
 
-    static classifyBotType(userAgent) {
-        if (/google/i.test(userAgent)) return 'Search Engine (Google)';
-        if (/bing/i.test(userAgent)) return 'Search Engine (Bing)';
-        if (/facebook/i.test(userAgent)) return 'Social Media (Facebook)';
-        if (/twitter/i.test(userAgent)) return 'Social Media (Twitter)';
-        if (/curl|wget/i.test(userAgent)) return 'Command Line Tool';
-        if (/postman|insomnia/i.test(userAgent)) return 'API Testing Tool';
-        if (/python|java|node/i.test(userAgent)) return 'Programming Script';
-        return 'Unknown Bot';
-    }
-
-    static calculateThreatLevel(req, ip) {
-        let score = 0;
-        let reasons = [];
-
-        // Check proxy usage
-        if (this.detectProxy(req).isProxy) {
-            score += 30;
-            reasons.push('Using proxy/VPN');
-        }
-
-        // Check bot detection
-        if (this.detectBot(req.headers['user-agent']).isBot) {
-            score += 40;
-            reasons.push('Automated bot detected');
-        }
-
-        // Check suspicious headers
-        const suspiciousHeaders = this.findSuspiciousHeaders(req.headers);
-        if (suspiciousHeaders.length > 0) {
-            score += suspiciousHeaders.length * 10;
-            reasons.push('Suspicious headers present');
-        }
-
-        // Check for rapid requests (would need session tracking)
-        // This is a placeholder for rate limiting logic
-
-        let level = 'Low';
-        if (score >= 70) level = 'High';
-        else if (score >= 40) level = 'Medium';
+    // Signals the threat rules score (ThreatScoringService). Request velocity is counted and the
+    // client-reported device data (the request body) is checked against the request unless the
+    // caller passes its own measurements. The timezone check geolocates the address, so it only
+    // runs when the request permits geolocation.
+    static getThreatFacts(req, ip, {
+        velocity = VelocityTracker.observe(req, ip),
+        consistency = ConsistencyAnalyzer.analyze(req, ip, req.body, { geolocation: this.mayGeolocate(req) })
+    } = {}) {
+        const proxy = this.detectProxy(req);
+        const tor = this.detectTor(ip);
+        const ranges = IpIntelligenceService.lookup(ip);
+        const bot = this.detectBot(req.headers['user-agent'], ip);
 
         return {
-            score,
-            level,
-            reasons,
-            recommendation: this.getThreatRecommendation(level)
+            isProxy: proxy.isProxy,
+            proxyHeaders: proxy.detectedHeaders,
+            isTor: tor.isTor,
+            torListVersion: tor.listVersion,
+            ipCategories: ranges.categories,
+            provider: ranges.provider,
+            bot: bot.isBot ? { severity: bot.severity, category: bot.category } : null,
+            suspiciousHeaders: this.findSuspiciousHeaders(req.headers),
+            forwardingMismatch: !!req.ipResolution?.mismatch,
+            forwardingReasons: req.ipResolution?.reasons || [],
+            velocity,
+            consistency,
+            // A pass earned by solving a proof-of-work challenge (X-Challenge-Pass)
+            challengePass: ChallengeService.verifyPass(req.headers['x-challenge-pass'], ip)
         };
     }
 
+    // Itemized score under the active threat rules, with the site key's overrides
+    static calculateThreatLevel(req, ip, measured = {}) {
+        const siteKey = req.headers['x-site-key'] || req.query?.siteKey || null;
+        return ThreatScoringService.evaluate(this.getThreatFacts(req, ip, measured), { siteKey });
+    }
+
     static findSuspiciousHeaders(headers) {
         const suspicious = [];
         
@@ -831,15 +985,6 @@ class UserInfoService {
         return suspicious;
     }
 
-    static getThreatRecommendation(level) {
-        switch (level) {
-            case 'High': return 'Block or require additional verification';
-            case 'Medium': return 'Monitor closely, consider rate limiting';
-            case 'Low': return 'Allow with normal monitoring';
-            default: return 'Continue monitoring';
-        }
-    }
-
     // Generate session ID for tracking
     static generateSessionId(req) {
         const components = [
@@ -905,18 +1050,19 @@ class UserInfoService {
         };
     }
 
-    // Visit tracking (simplified - would need database)
+    // Visit history from stored records, counting this visit (null when the database is unavailable)
     static async getVisitCount(ip) {
-        // Placeholder - would query database for previous visits
-        return Math.floor(Math.random() * 10) + 1;
+        const history = await UserInfo.getVisitHistory(ip);
+        return history ? history.count + 1 : null;
     }
 
     static async getFirstSeen(ip) {
-        // Placeholder - would query database for first visit
-        const daysAgo = Math.floor(Math.random() * 30);
-        const firstSeen = new Date();
-        firstSeen.setDate(firstSeen.getDate() - daysAgo);
-        return firstSeen.toISOString();
+        const history = await UserInfo.getVisitHistory(ip);
+        if (!history) {
+            return null;
+        }
+        // No stored visit yet: this one is the first
+        return (history.firstSeen || new Date()).toISOString();
     }
 
     // Location analysis methods for live tracking
@@ -0,0 +1,129 @@
+const { truncateIP } = require('../utils/ip');
+const IpIntelligenceService = require('./IpIntelligenceService');
+const PseudonymService = require('./PseudonymService');
+
+// Request counts over sliding windows, each made of fixed buckets: the minute window has
+// 5-second buckets, the hour 1-minute buckets and the day 1-hour buckets
+const WINDOWS = {
+    minute: { bucketMs: 5 * 1000, buckets: 12 },
+    hour: { bucketMs: 60 * 1000, buckets: 60 },
+    day: { bucketMs: 60 * 60 * 1000, buckets: 24 }
+};
+
+const DEFAULT_MAX_KEYS = 30000;
+
+const createCounter = () => Object.fromEntries(Object.entries(WINDOWS).map(([name, { buckets }]) => [
+    name,
+    { counts: new Uint32Array(buckets), slots: new Float64Array(buckets).fill(-1) }
+]));
+
+const increment = (counter, now) => {
+    for (const [name, { bucketMs, buckets }] of Object.entries(WINDOWS)) {
+        const slot = Math.floor(now / bucketMs);
+        const index = slot % buckets;
+        const window = counter[name];
+        if (window.slots[index] !== slot) {
+            window.slots[index] = slot;
+            window.counts[index] = 0;
+        }
+        window.counts[index]++;
+    }
+};
+
+const read = (counter, now) => Object.fromEntries(Object.entries(WINDOWS).map(([name, { bucketMs, buckets }]) => {
+    const oldest = Math.floor(now / bucketMs) - buckets + 1;
+    const window = counter[name];
+    let total = 0;
+    for (let index = 0; index < buckets; index++) {
+        if (window.slots[index] >= oldest) total += window.counts[index];
+    }
+    return [name, total];
+}));
+
+// Counters live in memory, least recently used evicted first once VELOCITY_MAX_KEYS is reached
+// (each key holds ~800 bytes). Counts are per instance and start from zero after a restart.
+const counters = new Map();
+let evictions = 0;
+
+const getMaxKeys = () => parseInt(process.env.VELOCITY_MAX_KEYS) || DEFAULT_MAX_KEYS;
+
+const touch = (key, now) => {
+    let counter = counters.get(key);
+    if (counter) {
+        counters.delete(key);
+    } else {
+        counter = createCounter();
+    }
+    counters.set(key, counter);
+
+    const maxKeys = getMaxKeys();
+    while (counters.size > maxKeys) {
+        counters.delete(counters.keys().next().value);
+        evictions++;
+    }
+
+    increment(counter, now);
+    return read(counter, now);
+};
+
+class VelocityTracker {
+    static get windows() {
+        return Object.keys(WINDOWS);
+    }
+
+    // The keys a request counts against: the address (as a pseudonym),
+    // its /24 or /48 network and, when the ASN table lists it, its origin ASN
+    static getDimensions(ip) {
+        const prefix = truncateIP(ip);
+        if (!prefix) {
+            return [];
+        }
+
+        const asn = IpIntelligenceService.lookupAsn(ip);
+        return [
+            { dimension: 'ip', key: PseudonymService.pseudonymize(ip), label: null },
+            { dimension: 'prefix', key: prefix, label: prefix },
+            asn && { dimension: 'asn', key: asn.asn, label: asn.asn }
+        ].filter(Boolean);
+    }
+
+    // Count a request and return the counts including it:
+    // { ip: { minute, hour, day }, prefix: { key, minute, hour, day }, asn: { key, ... } | null }
+    static record(ip, now = Date.now()) {
+        const dimensions = this.getDimensions(ip);
+        if (dimensions.length === 0) {
+            return null;
+        }
+
+        const velocity = { ip: null, prefix: null, asn: null };
+        for (const { dimension, key, label } of dimensions) {
+            const counts = touch(`${dimension}:${key}`, now);
+            velocity[dimension] = label ? { key: label, ...counts } : counts;
+        }
+        return velocity;
+    }
+
+    // Counted once per request however many times the request is scored; sandbox requests
+    // carry a fixture address and are not counted
+    static observe(req, ip) {
+        if (req.sandbox) {
+            return null;
+        }
+        if (req.velocity === undefined) {
+            req.velocity = this.record(ip);
+        }
+        return req.velocity;
+    }
+
+    static describe() {
+        return {
+            store: 'memory',
+            keys: counters.size,
+            maxKeys: getMaxKeys(),
+            evictions,
+            windows: this.windows
+        };
+    }
+}
+
+module.exports = VelocityTracker;
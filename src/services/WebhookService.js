@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { WebhookEndpoint } = require('../models/WebhookEndpoint');
+const { WebhookDelivery } = require('../models/WebhookDelivery');
+const { getWebhookConfig } = require('../config/webhooks');
+
+const EVENT_TYPES = [
+    'record.created',     // a visitor record was stored
+    'threat.high',        // a request was scored High by the threat rules
+    'erasure.completed'   // an erasure request deleted or anonymized records
+];
+
+// Sent only by POST /api/admin/webhooks/:endpointId/test
+const TEST_EVENT = 'webhook.test';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+const MAX_RESPONSE_LENGTH = 512;
+
+let dispatchInterval = null;
+let dispatching = false;
+
+class WebhookService {
+    static get eventTypes() {
+        return EVENT_TYPES;
+    }
+
+    // https only, except for local receivers or when WEBHOOK_ALLOW_HTTP=true
+    static validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'url must be an absolute URL';
+        }
+
+        if (parsed.protocol === 'https:') return null;
+        if (parsed.protocol === 'http:' && (getWebhookConfig().allowHttp || LOCAL_HOSTS.includes(parsed.hostname))) {
+            return null;
+        }
+        return 'url must use https (http is only accepted for localhost)';
+    }
+
+    static async registerEndpoint({ url, events, description = null, createdBy = null }) {
+        const secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+        const endpoint = await WebhookEndpoint.create({
+            endpointId: crypto.randomBytes(8).toString('hex'),
+            url,
+            events: [...new Set(events)],
+            description,
+            secret,
+            createdBy
+        });
+
+        delete endpoint.__v;
+        return endpoint;
+    }
+
+    // "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+    static sign(secret, timestamp, body) {
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+    }
+
+    // Receiver-side check, shared with scripts/webhook-receiver.js
+    static verifySignature(secret, header, body, toleranceSeconds = 300, now = Date.now()) {
+        const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+        const timestamp = Number(parts.t);
+        if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(secret, timestamp, body).split('v1=')[1], 'hex');
+        const actual = Buffer.from(parts.v1, 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Retry n waits base * 2^(n-1), capped, with ±20% jitter so failed receivers are not hit in lockstep
+    static getBackoffMs(attempt, { retryBaseMs, maxBackoffMs } = getWebhookConfig()) {
+        const delay = Math.min(maxBackoffMs, retryBaseMs * 2 ** (attempt - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    static buildDelivery(endpointId, event, data) {
+        const deliveryId = crypto.randomUUID();
+        const createdAt = new Date();
+
+        return {
+            deliveryId,
+            endpointId,
+            event,
+            payload: { id: deliveryId, event, createdAt: createdAt.toISOString(), data },
+            nextAttemptAt: createdAt,
+            expiresAt: new Date(createdAt.getTime() + getWebhookConfig().retentionDays * 24 * 60 * 60 * 1000)
+        };
+    }
+
+    // Queue an event for every subscribed endpoint. Never throws: a webhook problem must not
+    // fail the request that triggered it.
+    static async emit(event, data) {
+        if (!EVENT_TYPES.includes(event)) {
+            console.error(`❌ Unknown webhook event: ${event}`);
+            return 0;
+        }
+        if (mongoose.connection.readyState !== 1) {
+            return 0;
+        }
+
+        try {
+            const subscribers = await WebhookEndpoint.findSubscribers(event);
+            if (subscribers.length === 0) {
+                return 0;
+            }
+
+            await WebhookDelivery.createMany(subscribers.map(({ endpointId }) => this.buildDelivery(endpointId, event, data)));
+            setImmediate(() => this.dispatchDue());
+            return subscribers.length;
+        } catch (error) {
+            console.error(`❌ Failed to queue ${event} webhooks:`, error.message);
+            return 0;
+        }
+    }
+
+    // One signed POST; returns the attempt entry for the delivery history
+    static async send(endpoint, delivery, attemptNumber) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+
+        try {
+            const response = await axios.post(endpoint.url, body, {
+                timeout: getWebhookConfig().timeoutMs,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                responseType: 'text',
+                transformResponse: [raw => raw],
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'user-info-api-webhooks/1.0',
+                    'X-Webhook-Id': delivery.deliveryId,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': this.sign(endpoint.secret, timestamp, body)
+                }
+            });
+
+            const ok = response.status >= 200 && response.status < 300;
+            return {
+                attempt: attemptNumber,
+                at: new Date(started),
+                statusCode: response.status,
+                durationMs: Date.now() - started,
+                error: ok ? null : `HTTP ${response.status}`,
+                response: String(response.data ?? '').slice(0, MAX_RESPONSE_LENGTH)
+            };
+        } catch (error) {
+            return {
+                attempt: attemptNumber,
+                at: new Date(started),
+                statusCode: null,
+                durationMs: Date.now() - started,
+                error: error.code || error.message,
+                response: null
+            };
+        }
+    }
+
+    // Attempt a claimed delivery and schedule the retry, or dead-letter it
+    static async attempt(delivery) {
+        const { maxAttempts } = getWebhookConfig();
+        const endpoint = await WebhookEndpoint.findForSigning(delivery.endpointId);
+        const attemptNumber = delivery.attempts + 1;
+
+        if (!endpoint || !endpoint.active) {
+            return WebhookDelivery.recordAttempt(delivery.deliveryId, {
+                attempt: attemptNumber, at: new Date(), error: 'Endpoint disabled or removed'
+            }, { status: 'dead', error: 'Endpoint disabled or removed' });
+        }
+
+        const result = await this.send(endpoint, delivery, attemptNumber);
+        if (!result.error) {
+            return WebhookDelivery.recordAttempt(delivery.deliveryId, result, { status: 'delivered', statusCode: result.statusCode });
+        }
+
+        if (attemptNumber >= maxAttempts) {
+            console.error(`❌ Webhook ${delivery.deliveryId} (${delivery.event}) dead-lettered after ${attemptNumber} attempts: ${result.error}`);
+            return WebhookDelivery.recordAttempt(delivery.deliveryId, result, {
+                status: 'dead', statusCode: result.statusCode, error: result.error
+            });
+        }
+
+        return WebhookDelivery.recordAttempt(delivery.deliveryId, result, {
+            status: 'pending',
+            nextAttemptAt: new Date(Date.now() + this.getBackoffMs(attemptNumber)),
+            statusCode: result.statusCode,
+            error: result.error
+        });
+    }
+
+    // Work through every due delivery; runs are not overlapped within a process
+    static async dispatchDue() {
+        if (dispatching || mongoose.connection.readyState !== 1) {
+            return 0;
+        }
+
+        dispatching = true;
+        let processed = 0;
+        try {
+            const lockMs = getWebhookConfig().timeoutMs * 3;
+            let delivery;
+            while ((delivery = await WebhookDelivery.claimNext(lockMs))) {
+                await this.attempt(delivery);
+                processed++;
+            }
+        } catch (error) {
+            console.error('❌ Webhook dispatcher failed:', error.message);
+        } finally {
+            dispatching = false;
+        }
+        return processed;
+    }
+
+    // Send a test event to one endpoint right away, outside the retry queue's schedule
+    static async sendTest(endpointId, actor = null) {
+        const endpoint = await WebhookEndpoint.findById(endpointId);
+        if (!endpoint) {
+            return null;
+        }
+
+        const delivery = this.buildDelivery(endpointId, TEST_EVENT, {
+            message: 'Test event from user-info-api',
+            requestedBy: actor
+        });
+        await WebhookDelivery.createMany([{ ...delivery, status: 'delivering', lockedUntil: new Date(Date.now() + getWebhookConfig().timeoutMs * 3) }]);
+        return this.attempt({ ...delivery, attempts: 0 });
+    }
+
+    // Poll for due deliveries in the background
+    static start(intervalMs = getWebhookConfig().pollIntervalMs) {
+        if (dispatchInterval) {
+            return;
+        }
+
+        dispatchInterval = setInterval(() => this.dispatchDue(), intervalMs);
+        dispatchInterval.unref();
+        console.log(`🪝 Webhook dispatcher polling every ${Math.round(intervalMs / 1000)} seconds`);
+    }
+
+    static stop() {
+        if (dispatchInterval) {
+            clearInterval(dispatchInterval);
+            dispatchInterval = null;
+        }
+    }
+}
+
+module.exports = WebhookService;
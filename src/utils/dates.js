@@ -0,0 +1,9 @@
+// Optional date from a query or body parameter: null when absent, undefined when it does not parse
+// (so callers can reject it), a Date otherwise
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+module.exports = { parseDate };
@@ -0,0 +1,64 @@
+// Field lists are dotted paths ("device.type") or whole groups ("browser"); "*" allows everything.
+
+// Is the path itself, or something inside it, allowed?
+const isFieldAllowed = (fields, path) => {
+    if (fields.includes('*')) return true;
+
+    return fields.some(field =>
+        field === path ||
+        path.startsWith(`${field}.`) ||
+        field.startsWith(`${path}.`)
+    );
+};
+
+// Is the whole path allowed (not just part of it)?
+const isFieldFullyAllowed = (fields, path) => {
+    if (fields.includes('*')) return true;
+
+    return fields.some(field => field === path || path.startsWith(`${field}.`));
+};
+
+// Copy only the allowed fields of an object, recursing into partly allowed sub-documents
+const pickFields = (value, fields, prefix = '') => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+
+    const picked = {};
+    for (const [key, child] of Object.entries(value)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+
+        if (isFieldFullyAllowed(fields, path)) {
+            picked[key] = child;
+        } else if (isFieldAllowed(fields, path) && child && typeof child === 'object' && !Array.isArray(child)) {
+            picked[key] = pickFields(child, fields, path);
+        }
+    }
+    return picked;
+};
+
+// Read a dotted path from an object (undefined when any step is missing)
+const getPath = (value, path) => path.split('.')
+    .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+
+// Write a dotted path, creating intermediate objects as needed
+const setPath = (value, path, child) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let current = value;
+    for (const key of keys) {
+        if (!current[key] || typeof current[key] !== 'object') {
+            current[key] = {};
+        }
+        current = current[key];
+    }
+    current[last] = child;
+};
+
+module.exports = {
+    getPath,
+    setPath,
+    isFieldAllowed,
+    isFieldFullyAllowed,
+    pickFields
+};
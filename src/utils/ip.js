@@ -0,0 +1,148 @@
+const net = require('net');
+
+const ANONYMIZATION_MODES = ['full', 'truncated', 'dropped'];
+
+// Strip IPv4-mapped IPv6 prefixes and zone IDs so addresses compare consistently
+const normalizeIP = (ip) => {
+    if (!ip || typeof ip !== 'string') return null;
+
+    let address = ip.trim();
+    if (address.toLowerCase().startsWith('::ffff:') && net.isIPv4(address.slice(7))) {
+        address = address.slice(7);
+    }
+    const zoneIndex = address.indexOf('%');
+    if (zoneIndex !== -1) {
+        address = address.slice(0, zoneIndex);
+    }
+
+    return net.isIP(address) ? address : null;
+};
+
+// Expand an IPv6 address to its eight hextets
+const expandIPv6 = (ip) => {
+    let address = ip;
+
+    // Embedded IPv4 tail (e.g. 64:ff9b::192.0.2.1)
+    const lastColon = address.lastIndexOf(':');
+    const tail = address.slice(lastColon + 1);
+    if (net.isIPv4(tail)) {
+        const octets = tail.split('.').map(Number);
+        address = `${address.slice(0, lastColon + 1)}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+    }
+
+    const [head, rest] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const restParts = rest !== undefined && rest !== '' ? rest.split(':') : [];
+    const missing = rest !== undefined ? 8 - headParts.length - restParts.length : 0;
+
+    return [...headParts, ...Array(missing).fill('0'), ...restParts].map(part => parseInt(part, 16) || 0);
+};
+
+// Canonical text form of eight hextets (longest run of zeros compressed to ::)
+const formatIPv6 = (hextets) => {
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < 8; i++) {
+        if (hextets[i] !== 0) continue;
+        let length = 0;
+        while (i + length < 8 && hextets[i + length] === 0) length++;
+        if (length > bestLength && length > 1) {
+            bestStart = i;
+            bestLength = length;
+        }
+        i += length;
+    }
+
+    const parts = hextets.map(part => part.toString(16));
+    if (bestStart === -1) return parts.join(':');
+
+    return `${parts.slice(0, bestStart).join(':')}::${parts.slice(bestStart + bestLength).join(':')}`;
+};
+
+// IPv4 keeps its /24 network, IPv6 its /48
+const truncateIP = (ip) => {
+    const address = normalizeIP(ip);
+    if (!address) return null;
+
+    if (net.isIPv4(address)) {
+        const octets = address.split('.');
+        return `${octets[0]}.${octets[1]}.${octets[2]}.0`;
+    }
+
+    const hextets = expandIPv6(address);
+    return formatIPv6([...hextets.slice(0, 3), 0, 0, 0, 0, 0]);
+};
+
+const getAnonymizationMode = () => {
+    const mode = process.env.IP_ANONYMIZATION || 'truncated';
+    return ANONYMIZATION_MODES.includes(mode) ? mode : 'truncated';
+};
+
+// Apply the configured anonymization mode: full, truncated or dropped
+const anonymizeIP = (ip, mode = getAnonymizationMode()) => {
+    if (mode === 'dropped') return null;
+    if (mode === 'truncated') return truncateIP(ip);
+    return normalizeIP(ip) || ip || null;
+};
+
+// Anonymize every hop of an X-Forwarded-For style list
+const anonymizeIPList = (list, mode = getAnonymizationMode()) => {
+    if (!list || mode === 'dropped') return null;
+
+    return list
+        .split(',')
+        .map(hop => anonymizeIP(hop.trim(), mode) || 'unknown')
+        .join(', ');
+};
+
+// Numeric form of an address: { version: 4 | 6, value: BigInt }
+const ipToBigInt = (ip) => {
+    const address = normalizeIP(ip);
+    if (!address) return null;
+
+    if (net.isIPv4(address)) {
+        const value = address.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+        return { version: 4, value };
+    }
+
+    const value = expandIPv6(address).reduce((total, hextet) => (total << 16n) + BigInt(hextet), 0n);
+    return { version: 6, value };
+};
+
+// "10.0.0.0/8" -> { version, network, prefix }; a bare address is a single-host range
+const parseCIDR = (cidr) => {
+    if (!cidr || typeof cidr !== 'string') return null;
+
+    const [address, prefixText] = cidr.trim().split('/');
+    const parsed = ipToBigInt(address);
+    if (!parsed) return null;
+
+    const bits = parsed.version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+
+    const hostBits = BigInt(bits - prefix);
+    return { version: parsed.version, network: (parsed.value >> hostBits) << hostBits, prefix };
+};
+
+const isInRange = (ip, range) => {
+    const parsed = ipToBigInt(ip);
+    if (!parsed || !range || parsed.version !== range.version) return false;
+
+    const hostBits = BigInt((range.version === 4 ? 32 : 128) - range.prefix);
+    return (parsed.value >> hostBits) << hostBits === range.network;
+};
+
+module.exports = {
+    ANONYMIZATION_MODES,
+    normalizeIP,
+    expandIPv6,
+    formatIPv6,
+    truncateIP,
+    getAnonymizationMode,
+    anonymizeIP,
+    anonymizeIPList,
+    ipToBigInt,
+    parseCIDR,
+    isInRange
+};
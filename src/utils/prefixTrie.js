@@ -0,0 +1,49 @@
+const { ipToBigInt, parseCIDR } = require('./ip');
+
+// Binary trie over address bits, one root per IP version. Lookups cost at most 32 (IPv4) or
+// 128 (IPv6) steps regardless of how many ranges are loaded.
+const createPrefixTrie = () => {
+    const roots = { 4: { children: [null, null], values: null }, 6: { children: [null, null], values: null } };
+    let size = 0;
+
+    const bitAt = (value, bits, index) => Number((value >> BigInt(bits - 1 - index)) & 1n);
+
+    // Returns false for an invalid CIDR
+    const insert = (cidr, value) => {
+        const range = parseCIDR(cidr);
+        if (!range) return false;
+
+        const bits = range.version === 4 ? 32 : 128;
+        let node = roots[range.version];
+        for (let index = 0; index < range.prefix; index++) {
+            const bit = bitAt(range.network, bits, index);
+            node.children[bit] = node.children[bit] || { children: [null, null], values: null };
+            node = node.children[bit];
+        }
+
+        node.values = node.values || [];
+        node.values.push({ ...value, cidr });
+        size++;
+        return true;
+    };
+
+    // Every range containing the address, least specific first
+    const match = (ip) => {
+        const parsed = ipToBigInt(ip);
+        if (!parsed) return [];
+
+        const bits = parsed.version === 4 ? 32 : 128;
+        const matches = [];
+        let node = roots[parsed.version];
+        for (let index = 0; node; index++) {
+            if (node.values) matches.push(...node.values);
+            if (index === bits) break;
+            node = node.children[bitAt(parsed.value, bits, index)];
+        }
+        return matches;
+    };
+
+    return { insert, match, get size() { return size; } };
+};
+
+module.exports = { createPrefixTrie };
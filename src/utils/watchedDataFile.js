@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// A data file (threat lists, range files, lookup tables) parsed once and reloaded when it changes
+// on disk. The modification time is checked at most every `checkIntervalMs`, on access, so
+// replacing the file is picked up without a restart and without a timer keeping the process alive.
+const watchDataFile = (file, parse, { label = file, checkIntervalMs = 30 * 1000, empty = null } = {}) => {
+    let state = null;
+    let lastCheck = 0;
+
+    const load = (stats) => {
+        try {
+            const contents = fs.readFileSync(file, 'utf8');
+            state = {
+                data: parse(contents),
+                version: crypto.createHash('sha256').update(contents).digest('hex').slice(0, 12),
+                modifiedAt: stats.mtime,
+                loadedAt: new Date(),
+                error: null
+            };
+            console.log(`📂 Loaded ${label} (version ${state.version})`);
+        } catch (error) {
+            console.error(`❌ Failed to load ${label} from ${file}:`, error.message);
+            // Keep serving the last good copy when a reload fails
+            state = state && state.version
+                ? { ...state, error: error.message }
+                : { data: empty, version: null, modifiedAt: null, loadedAt: new Date(), error: error.message };
+        }
+    };
+
+    const get = () => {
+        const now = Date.now();
+        if (state && now - lastCheck < checkIntervalMs) {
+            return state;
+        }
+        lastCheck = now;
+
+        let stats;
+        try {
+            stats = fs.statSync(file);
+        } catch (error) {
+            if (!state || state.error !== error.message) {
+                console.error(`❌ ${label} not available at ${file}:`, error.message);
+                state = state && state.version
+                    ? { ...state, error: error.message }
+                    : { data: empty, version: null, modifiedAt: null, loadedAt: new Date(), error: error.message };
+            }
+            return state;
+        }
+
+        if (!state || !state.modifiedAt || stats.mtimeMs !== state.modifiedAt.getTime()) {
+            load(stats);
+        }
+        return state;
+    };
+
+    return { file, get };
+};
+
+module.exports = { watchDataFile };
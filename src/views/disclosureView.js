@@ -0,0 +1,74 @@
+// Human-readable rendering of the data disclosure served at /api/privacy/disclosure.html
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDays = (days) => (days === null ? 'Indefinitely' : `${days} days`);
+
+const renderFieldRows = (fields) => fields.map(field => `
+            <tr class="${field.collected ? '' : 'not-collected'}">
+                <td><code>${escapeHtml(field.field)}</code></td>
+                <td>${field.collected ? 'Yes' : 'No'}</td>
+                <td>${escapeHtml(field.purpose)}</td>
+                <td>${escapeHtml(field.consentPurpose || 'Not required')}</td>
+                <td>${escapeHtml(formatDays(field.retentionDays))}</td>
+                <td>${field.encryptedAtRest ? 'Yes' : 'No'}</td>
+                <td>${escapeHtml(field.thirdParties.join(', ') || 'None')}</td>
+            </tr>`).join('');
+
+const renderDisclosure = (disclosure) => {
+    const groups = Object.entries(disclosure.fieldGroups).map(([group, info]) => {
+        const fields = disclosure.fields.filter(field => field.group === group);
+        if (fields.length === 0) {
+            return '';
+        }
+
+        return `
+    <section>
+        <h2>${escapeHtml(group)}</h2>
+        <p>${escapeHtml(info.description)}</p>
+        <table>
+            <tr><th>Field</th><th>Collected</th><th>Purpose</th><th>Consent purpose</th><th>Retention</th><th>Encrypted</th><th>Shared with</th></tr>${renderFieldRows(fields)}
+        </table>
+    </section>`;
+    }).join('');
+
+    const thirdParties = disclosure.thirdParties.length > 0
+        ? disclosure.thirdParties.map(party => `
+            <li><strong>${escapeHtml(party.name)}</strong> (${escapeHtml(party.purpose)}): ${escapeHtml(party.dataShared.join(', '))}</li>`).join('')
+        : '<li>None</li>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Data Collection Disclosure</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 1100px; margin: 0 auto; padding: 20px; color: #333; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+        th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; font-size: 14px; }
+        th { background: #f5f5f5; }
+        tr.not-collected { color: #999; }
+    </style>
+</head>
+<body>
+    <h1>Data Collection Disclosure</h1>
+    <p>Generated ${escapeHtml(disclosure.generatedAt)} from the active configuration.</p>
+    <p>Collection profile: <strong>${escapeHtml(disclosure.profile.name)}</strong> &mdash; ${escapeHtml(disclosure.profile.description)}</p>
+    <p>Consent purposes: ${escapeHtml(disclosure.consentPurposes.join(', '))}.
+       Privacy signals honored: ${escapeHtml(disclosure.privacySignalsHonored.join(', '))}.
+       IP anonymization: ${escapeHtml(disclosure.ipAnonymization)}.
+       Encryption at rest: ${disclosure.encryptionAtRest.enabled ? escapeHtml(disclosure.encryptionAtRest.algorithm) : 'disabled'}.</p>
+    <h2>Third parties</h2>
+    <ul>${thirdParties}
+    </ul>${groups}
+</body>
+</html>`;
+};
+
+module.exports = { escapeHtml, renderDisclosure };
@@ -0,0 +1,136 @@
+// Proof-of-work challenges and the pass tokens they are exchanged for
+process.env.CHALLENGE_SECRET = 'test-challenge-secret';
+process.env.CHALLENGE_DIFFICULTY = JSON.stringify({ levels: { Low: 4, Medium: 6, High: 8 } });
+process.env.CHALLENGE_TTL_SECONDS = '120';
+process.env.CHALLENGE_PASS_TTL_MINUTES = '30';
+
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ChallengeService = require('../src/services/ChallengeService');
+
+const CLIENT_IP = '203.0.113.10';
+const OTHER_IP = '203.0.113.11';
+const HIGH = { level: 'High', inputs: {} };
+
+const solve = (challenge, difficulty) => {
+    for (let nonce = 0; ; nonce++) {
+        if (ChallengeService.checkSolution(challenge, nonce, difficulty)) return String(nonce);
+    }
+};
+
+const findFailing = (challenge, difficulty) => {
+    for (let nonce = 0; ; nonce++) {
+        if (!ChallengeService.checkSolution(challenge, nonce, difficulty)) return String(nonce);
+    }
+};
+
+// Re-encode a token's claims while keeping its original signature
+const tamper = (token, change) => {
+    const [payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return `${Buffer.from(JSON.stringify({ ...claims, ...change })).toString('base64url')}.${signature}`;
+};
+
+const issuePass = (ip = CLIENT_IP) => {
+    const { challenge, difficulty } = ChallengeService.issue(ip, HIGH);
+    return ChallengeService.redeem(challenge, solve(challenge, difficulty), ip);
+};
+
+describe('ChallengeService', () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('exchanges a solved challenge for a pass bound to the client', () => {
+        const { challenge, difficulty, level } = ChallengeService.issue(CLIENT_IP, HIGH);
+        assert.equal(level, 'High');
+        assert.equal(difficulty, 8);
+
+        const result = ChallengeService.redeem(challenge, solve(challenge, difficulty), CLIENT_IP);
+        assert.equal(result.valid, true);
+
+        const pass = ChallengeService.verifyPass(result.passToken, CLIENT_IP);
+        assert.equal(pass.level, 'High');
+        assert.equal(pass.difficulty, 8);
+    });
+
+    test('adds difficulty for suspicious headers and bot severity, up to the maximum', () => {
+        assert.equal(ChallengeService.getDifficulty({ level: 'Low', inputs: {} }), 4);
+        assert.equal(ChallengeService.getDifficulty({
+            level: 'Medium',
+            inputs: { suspiciousHeaders: ['via', 'x-proxy-id'], bot: { severity: 'high' } }
+        }), 10);
+        assert.equal(ChallengeService.getDifficulty({ level: 'High', inputs: { suspiciousHeaders: Array(30).fill('via') } }), 20);
+    });
+
+    test('rejects a solution under the challenge difficulty', () => {
+        const { challenge, difficulty } = ChallengeService.issue(CLIENT_IP, HIGH);
+        const result = ChallengeService.redeem(challenge, findFailing(challenge, difficulty), CLIENT_IP);
+
+        assert.deepEqual(result, { valid: false, reason: 'Solution does not meet the challenge difficulty' });
+    });
+
+    test('rejects a challenge whose difficulty was lowered', () => {
+        const { challenge } = ChallengeService.issue(CLIENT_IP, HIGH);
+        const easier = tamper(challenge, { d: 1 });
+        const result = ChallengeService.redeem(easier, solve(easier, 1), CLIENT_IP);
+
+        assert.deepEqual(result, { valid: false, reason: 'Invalid challenge token signature' });
+    });
+
+    test('rejects a challenge solved from another address', () => {
+        const { challenge, difficulty } = ChallengeService.issue(CLIENT_IP, HIGH);
+        const result = ChallengeService.redeem(challenge, solve(challenge, difficulty), OTHER_IP);
+
+        assert.deepEqual(result, { valid: false, reason: 'Challenge was issued to another client' });
+    });
+
+    test('redeems a challenge only once', () => {
+        const { challenge, difficulty } = ChallengeService.issue(CLIENT_IP, HIGH);
+        const nonce = solve(challenge, difficulty);
+
+        assert.equal(ChallengeService.redeem(challenge, nonce, CLIENT_IP).valid, true);
+        assert.deepEqual(ChallengeService.redeem(challenge, nonce, CLIENT_IP), { valid: false, reason: 'Challenge already solved' });
+    });
+
+    test('rejects an expired challenge', () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const { challenge, difficulty } = ChallengeService.issue(CLIENT_IP, HIGH);
+        const nonce = solve(challenge, difficulty);
+
+        mock.timers.tick(121 * 1000);
+        assert.deepEqual(ChallengeService.redeem(challenge, nonce, CLIENT_IP), { valid: false, reason: 'Challenge token expired' });
+    });
+
+    test('does not accept a pass from another address', () => {
+        const { passToken } = issuePass();
+
+        assert.equal(ChallengeService.verifyPass(passToken, OTHER_IP), null);
+    });
+
+    test('does not accept an expired pass', () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const { passToken } = issuePass();
+        assert.notEqual(ChallengeService.verifyPass(passToken, CLIENT_IP), null);
+
+        mock.timers.tick(31 * 60 * 1000);
+        assert.equal(ChallengeService.verifyPass(passToken, CLIENT_IP), null);
+    });
+
+    test('does not accept a tampered pass', () => {
+        const { passToken } = issuePass();
+        const [payload, signature] = passToken.split('.');
+        const flipped = `${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+        assert.equal(ChallengeService.verifyPass(tamper(passToken, { exp: Math.floor(Date.now() / 1000) + 86400 }), CLIENT_IP), null);
+        assert.equal(ChallengeService.verifyPass(tamper(passToken, { sub: ChallengeService.bindClient(OTHER_IP) }), OTHER_IP), null);
+        assert.equal(ChallengeService.verifyPass(`${payload}.${flipped}`, CLIENT_IP), null);
+    });
+
+    test('does not accept a challenge token as a pass', () => {
+        const { challenge } = ChallengeService.issue(CLIENT_IP, HIGH);
+
+        assert.equal(ChallengeService.verifyPass(challenge, CLIENT_IP), null);
+        assert.deepEqual(ChallengeService.unseal(challenge, 'pass'), { valid: false, reason: 'Not a pass token' });
+    });
+});
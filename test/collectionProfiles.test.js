@@ -0,0 +1,25 @@
+// Collection profile resolution from routes and X-Site-Key
+process.env.SITE_PROFILES = JSON.stringify({ 'shop-1': 'security-only' });
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveProfile, getProfile } = require('../src/config/collectionProfiles');
+
+describe('resolveProfile', () => {
+    test('uses the route profile, then the site key, then the default', () => {
+        assert.equal(resolveProfile({ routeProfile: 'analytics-minimal', siteKey: 'shop-1' }).name, 'analytics-minimal');
+        assert.equal(resolveProfile({ siteKey: 'shop-1' }).name, 'security-only');
+        assert.equal(resolveProfile({ siteKey: 'unknown-site' }).name, 'full-with-consent');
+    });
+
+    test('falls back to the default profile for prototype-named site keys', () => {
+        for (const siteKey of ['constructor', '__proto__', 'toString']) {
+            assert.equal(resolveProfile({ siteKey }).name, 'full-with-consent');
+        }
+    });
+
+    test('does not resolve prototype names as profiles', () => {
+        assert.equal(getProfile('constructor'), null);
+        assert.equal(getProfile('hasOwnProperty'), null);
+    });
+});
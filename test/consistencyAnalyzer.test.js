@@ -0,0 +1,33 @@
+// Client/server consistency checks
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ConsistencyAnalyzer = require('../src/services/ConsistencyAnalyzer');
+
+// Resolved by the bundled geoip-lite database, no network needed
+const PUBLIC_IP = '8.8.8.8';
+
+describe('ConsistencyAnalyzer.checkTimezone', () => {
+    test('compares the timezone countries with the address country', () => {
+        assert.equal(ConsistencyAnalyzer.checkTimezone('America/New_York', PUBLIC_IP).consistent, true);
+        assert.equal(ConsistencyAnalyzer.checkTimezone('Europe/Berlin', PUBLIC_IP).consistent, false);
+    });
+
+    test('treats prototype names as unknown timezones', () => {
+        for (const timezone of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+            assert.equal(ConsistencyAnalyzer.checkTimezone(timezone, PUBLIC_IP), null);
+        }
+    });
+});
+
+describe('ConsistencyAnalyzer.analyze', () => {
+    const req = { headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)', 'accept-language': 'en-US' } };
+    const body = { timezone: 'Europe/Berlin', platform: 'Win32', languages: ['en-US'] };
+
+    test('skips the timezone check when the address may not be geolocated', () => {
+        const checks = ConsistencyAnalyzer.analyze(req, PUBLIC_IP, body, { geolocation: false });
+
+        assert.equal(checks.timezone, null);
+        assert.equal(checks.platform.consistent, true);
+        assert.equal(checks.language.consistent, true);
+    });
+});
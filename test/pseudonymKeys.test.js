@@ -0,0 +1,22 @@
+// Malformed entries in PSEUDONYM_KEYS are skipped instead of breaking key loading
+process.env.PSEUDONYM_KEYS = JSON.stringify([
+    { version: 2, secret: 'numeric-version' },
+    { version: ['v3'], secret: 'array-version' },
+    { version: 'v:4', secret: 'colon-version' },
+    { version: 'v5', secret: { value: 'object-secret' } },
+    null,
+    { version: 'v1', secret: 'test-pseudonym-secret' }
+]);
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { getKeyRing } = require('../src/config/pseudonymKeys');
+
+describe('getKeyRing', () => {
+    test('keeps only keys with a colon-free string version and a string secret', () => {
+        const { keys, active } = getKeyRing();
+
+        assert.deepEqual(keys.map(key => key.version), ['v1']);
+        assert.equal(active.secret, 'test-pseudonym-secret');
+    });
+});
@@ -0,0 +1,34 @@
+// High-threat flags in the in-memory store decide when threat.high is sent, and counter keys
+// for client addresses that every instance derives alike
+process.env.RATE_LIMIT_SECRET = 'test-rate-limit-secret';
+
+const crypto = require('crypto');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../src/services/RateLimiter');
+
+describe('RateLimiter.flagHighThreat', () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('reports a new flag once per high-threat window', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1) });
+
+        assert.equal(await RateLimiter.flagHighThreat('198.51.100.20'), true);
+        assert.equal(await RateLimiter.flagHighThreat('198.51.100.20'), false);
+        assert.equal(await RateLimiter.flagHighThreat('198.51.100.21'), true);
+
+        mock.timers.tick(61 * 60 * 1000);
+        assert.equal(await RateLimiter.flagHighThreat('198.51.100.20'), true);
+    });
+});
+
+describe('RateLimiter.clientKey', () => {
+    test('derives the key from RATE_LIMIT_SECRET, not the pseudonym keys', () => {
+        const expected = crypto.createHmac('sha256', 'test-rate-limit-secret').update('198.51.100.20').digest('hex');
+
+        assert.equal(RateLimiter.clientKey('198.51.100.20'), `ip:${expected}`);
+        assert.notEqual(RateLimiter.clientKey('198.51.100.21'), RateLimiter.clientKey('198.51.100.20'));
+    });
+});
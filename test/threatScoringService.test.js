@@ -0,0 +1,66 @@
+// Threat scoring rules and per-site overrides
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ThreatScoringService = require('../src/services/ThreatScoringService');
+const DEFAULT_RULES = require('../src/config/threatRules.json');
+
+const withSites = (sites) => ({ ...ThreatScoringService.getActiveRules().rules, sites });
+
+describe('ThreatScoringService site overrides', () => {
+    test('applies the overrides of a listed site', () => {
+        const rules = withSites({ shop: { thresholds: { medium: 0 } } });
+        const result = ThreatScoringService.evaluate({}, { siteKey: 'shop', rules, version: 'test' });
+
+        assert.equal(result.site, 'shop');
+        assert.equal(result.level, 'Medium');
+    });
+
+    test('ignores prototype-named site keys', () => {
+        const rules = withSites({ shop: { thresholds: { medium: 0 } } });
+        for (const siteKey of ['constructor', '__proto__', 'toString']) {
+            assert.equal(ThreatScoringService.getSiteRules(rules, siteKey), null);
+
+            const result = ThreatScoringService.evaluate({}, { siteKey, rules, version: 'test' });
+            assert.equal(result.site, null);
+            assert.equal(result.level, 'Low');
+        }
+    });
+});
+
+describe('ThreatScoringService challengePass signal', () => {
+    // Tor exit behind a proxy: 80 points, High under the default thresholds (medium 40, high 70)
+    const HIGH_FACTS = { isTor: true, isProxy: true };
+    const evaluate = (challengePass) => ThreatScoringService.evaluate(
+        { ...HIGH_FACTS, challengePass },
+        { rules: DEFAULT_RULES, version: 'test' }
+    );
+    const passSignal = (result) => result.breakdown.find(item => item.signal === 'challengePass');
+
+    test('credits a pass issued for the level the request scores', () => {
+        const result = evaluate({ level: 'High', difficulty: 17 });
+
+        assert.equal(result.score, 50);
+        assert.equal(result.level, 'Medium');
+        assert.equal(passSignal(result).status, 'triggered');
+    });
+
+    test('does not credit a pass solved at a lower level', () => {
+        for (const level of ['Low', 'Medium']) {
+            const result = evaluate({ level, difficulty: 10 });
+
+            assert.equal(result.score, 80);
+            assert.equal(result.level, 'High');
+            assert.equal(passSignal(result).status, 'clear');
+        }
+    });
+
+    test('credits a higher-level pass on a lower-scoring request', () => {
+        const result = ThreatScoringService.evaluate(
+            { isProxy: true, challengePass: { level: 'High', difficulty: 17 } },
+            { rules: DEFAULT_RULES, version: 'test' }
+        );
+
+        assert.equal(result.score, 0);
+        assert.equal(passSignal(result).status, 'triggered');
+    });
+});
@@ -0,0 +1,37 @@
+// The timezone -> country table (src/data/tz-country.json, built by scripts/build-tz-country.js)
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const TZ_COUNTRY = require('../src/data/tz-country.json');
+
+const canonicalZone = (zone) => {
+    try {
+        return new Intl.DateTimeFormat('en', { timeZone: zone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+};
+
+describe('tz-country table', () => {
+    test('gives an alias the countries of its canonical zone', () => {
+        assert.deepEqual(TZ_COUNTRY['Africa/Asmera'], TZ_COUNTRY['Africa/Asmara']);
+        assert.deepEqual(TZ_COUNTRY['Africa/Asmera'], ['ER']);
+        assert.deepEqual(TZ_COUNTRY['Asia/Calcutta'], TZ_COUNTRY['Asia/Kolkata']);
+        assert.deepEqual(TZ_COUNTRY['Europe/Kiev'], TZ_COUNTRY['Europe/Kyiv']);
+        assert.deepEqual(TZ_COUNTRY['Iceland'], ['IS']);
+    });
+
+    test('maps every name of the same zone to the same countries', () => {
+        const byCanonical = new Map();
+        for (const [zone, countries] of Object.entries(TZ_COUNTRY)) {
+            const canonical = canonicalZone(zone);
+            if (!canonical) continue;
+
+            const seen = byCanonical.get(canonical);
+            if (seen) {
+                assert.deepEqual(countries, seen.countries, `${zone} and ${seen.zone} are both ${canonical}`);
+            } else {
+                byCanonical.set(canonical, { zone, countries });
+            }
+        }
+    });
+});
@@ -0,0 +1,43 @@
+// Threat facts only use what the request permits
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const UserInfoService = require('../src/services/UserInfoService');
+const { resolveProfile } = require('../src/config/collectionProfiles');
+
+const PUBLIC_IP = '8.8.8.8';
+const LOCATION_CONSENT = { valid: true, purposes: ['location', 'security', 'analytics'] };
+
+const request = ({ headers = {}, consent, profile } = {}) => ({
+    headers: { 'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)', 'accept-language': 'en-US', ...headers },
+    query: {},
+    body: { timezone: 'Europe/Berlin' },
+    consent,
+    collectionProfile: profile
+});
+
+const timezoneCheck = (req) => UserInfoService.getThreatFacts(req, PUBLIC_IP, { velocity: null }).consistency.timezone;
+
+describe('UserInfoService timezone check and geolocation', () => {
+    test('runs with location consent under a profile that geolocates', () => {
+        const req = request({ consent: LOCATION_CONSENT });
+
+        assert.equal(UserInfoService.mayGeolocate(req), true);
+        assert.equal(timezoneCheck(req).consistent, false);
+    });
+
+    test('is skipped without location consent', () => {
+        assert.equal(timezoneCheck(request()), null);
+        assert.equal(timezoneCheck(request({ consent: { valid: true, purposes: ['security'] } })), null);
+    });
+
+    test('is skipped when DNT or GPC is sent', () => {
+        assert.equal(timezoneCheck(request({ consent: LOCATION_CONSENT, headers: { dnt: '1' } })), null);
+        assert.equal(timezoneCheck(request({ consent: LOCATION_CONSENT, headers: { 'sec-gpc': '1' } })), null);
+    });
+
+    test('is skipped under a profile without geolocation', () => {
+        const profile = resolveProfile({ routeProfile: 'security-only' });
+
+        assert.equal(timezoneCheck(request({ consent: LOCATION_CONSENT, profile })), null);
+    });
+});
@@ -0,0 +1,137 @@
+// Webhook delivery against a local receiver: signatures, retry backoff and dead-lettering.
+// Endpoint and delivery documents are held in memory instead of MongoDB.
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+process.env.WEBHOOK_MAX_BACKOFF_MINUTES = '1';
+process.env.WEBHOOK_TIMEOUT_SECONDS = '2';
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebhookService = require('../src/services/WebhookService');
+const { WebhookEndpoint } = require('../src/models/WebhookEndpoint');
+const { WebhookDelivery } = require('../src/models/WebhookDelivery');
+const { getWebhookConfig } = require('../src/config/webhooks');
+
+const SECRET = 'whsec_test-secret';
+
+describe('WebhookService delivery', () => {
+    let server;
+    let endpoint;
+    let received;
+    let statuses;
+    let stored;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+                res.writeHead(statuses.length > 0 ? statuses.shift() : 204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        endpoint = {
+            endpointId: 'ep-test',
+            url: `http://127.0.0.1:${server.address().port}/webhooks`,
+            secret: SECRET,
+            active: true
+        };
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        statuses = [];
+        stored = null;
+
+        mock.method(WebhookEndpoint, 'findForSigning', async () => endpoint);
+        mock.method(WebhookDelivery, 'recordAttempt', async (deliveryId, attempt, outcome) => {
+            stored = {
+                ...stored,
+                ...outcome,
+                attempts: attempt.attempt,
+                history: [...stored.history, attempt]
+            };
+            return stored;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const queue = (data = { score: 80 }) => {
+        stored = { ...WebhookService.buildDelivery(endpoint.endpointId, 'threat.high', data), status: 'pending', attempts: 0, history: [] };
+        return stored;
+    };
+
+    test('signs every request so the receiver can verify it', async () => {
+        const result = await WebhookService.attempt(queue());
+
+        assert.equal(result.status, 'delivered');
+        assert.equal(received.length, 1);
+
+        const { headers, body } = received[0];
+        assert.equal(headers['x-webhook-id'], result.deliveryId);
+        assert.equal(headers['x-webhook-event'], 'threat.high');
+        assert.deepEqual(JSON.parse(body), result.payload);
+        assert.equal(WebhookService.verifySignature(SECRET, headers['x-webhook-signature'], body), true);
+        assert.equal(WebhookService.verifySignature('whsec_other', headers['x-webhook-signature'], body), false);
+        assert.equal(WebhookService.verifySignature(SECRET, headers['x-webhook-signature'], body.replace('80', '81')), false);
+        assert.equal(WebhookService.verifySignature(SECRET, headers['x-webhook-signature'], body, 300, Date.now() + 10 * 60 * 1000), false);
+    });
+
+    test('retries a failing receiver with exponential backoff', async () => {
+        const { retryBaseMs } = getWebhookConfig();
+        statuses = [500, 503];
+        queue();
+
+        for (const attempt of [1, 2]) {
+            const before = Date.now();
+            const result = await WebhookService.attempt(stored);
+            const delay = result.nextAttemptAt.getTime() - before;
+            const expected = retryBaseMs * 2 ** (attempt - 1);
+
+            assert.equal(result.status, 'pending');
+            assert.equal(result.attempts, attempt);
+            assert.match(result.error, /^HTTP 50[03]$/);
+            assert.ok(delay >= expected * 0.8 && delay <= expected * 1.2 + 1000, `retry ${attempt} waits ${delay}ms`);
+        }
+
+        const result = await WebhookService.attempt(stored);
+        assert.equal(result.status, 'delivered');
+        assert.equal(received.length, 3);
+        assert.equal(new Set(received.map(({ headers }) => headers['x-webhook-id'])).size, 1);
+    });
+
+    test('dead-letters a delivery after maxAttempts failures', async () => {
+        const { maxAttempts } = getWebhookConfig();
+        statuses = Array(maxAttempts + 1).fill(500);
+        queue();
+
+        while (stored.status === 'pending') {
+            await WebhookService.attempt(stored);
+        }
+
+        assert.equal(stored.status, 'dead');
+        assert.equal(stored.attempts, maxAttempts);
+        assert.equal(stored.history.length, maxAttempts);
+        assert.equal(received.length, maxAttempts);
+    });
+
+    test('caps the backoff at maxBackoffMs', () => {
+        mock.method(Math, 'random', () => 0.5);
+        const config = { retryBaseMs: 1000, maxBackoffMs: 10000 };
+
+        assert.deepEqual([1, 2, 3, 4, 5, 10].map(attempt => WebhookService.getBackoffMs(attempt, config)),
+            [1000, 2000, 4000, 8000, 10000, 10000]);
+    });
+});